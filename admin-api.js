@@ -0,0 +1,350 @@
+/**
+ * HTTP management API for bbsfw
+ * Local JSON API for sessions, bans, the whitelist and stats. Listens on
+ * localhost or a unix socket and requires a bearer token on every request.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const logger = require('./logger');
+const { parseTarget } = require('./config');
+const { getIPFilter, isValidIPEntry } = require('./ipfilter');
+const { getGeoIP } = require('./geoip');
+const { getSessionRegistry } = require('./sessions');
+const { getBackendPool } = require('./backend-pool');
+const { getThreatFeeds } = require('./threat-feeds');
+const { getWaitingRoom } = require('./waiting-room');
+
+// Largest request body accepted
+const MAX_BODY_SIZE = 64 * 1024;
+
+class HTTPError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Parses ADMIN_API_LISTEN: a unix socket path, "host:port" or a port
+ * @returns {Object} { path } or { host, port }
+ */
+function parseListen(value) {
+  return value.includes('/') ? { path: value } : parseTarget(value, '127.0.0.1');
+}
+
+/**
+ * Compares a bearer token against the configured one in constant time
+ */
+function tokenMatches(header, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!match) {
+    return false;
+  }
+
+  const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new HTTPError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (err) {
+        reject(new HTTPError(400, 'Request body must be JSON'));
+        return;
+      }
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        reject(new HTTPError(400, 'Request body must be a JSON object'));
+        return;
+      }
+      resolve(body);
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Decodes a percent-encoded path segment
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    throw new HTTPError(400, 'Malformed percent-encoding in path');
+  }
+}
+
+function sendJSON(res, status, body) {
+  const data = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(data),
+  });
+  res.end(data);
+}
+
+function requireEntry(entry) {
+  if (!isValidIPEntry(entry)) {
+    throw new HTTPError(400, '"ip" must be an IP address or CIDR range');
+  }
+  return entry.trim();
+}
+
+class AdminAPI {
+  constructor(config) {
+    this.config = config;
+    this.server = null;
+    this.startedAt = Date.now();
+
+    // [method, path pattern, handler]; handlers get (params, body)
+    this.routes = [
+      ['GET', /^\/api\/sessions$/, () => this.listSessions()],
+      ['DELETE', /^\/api\/sessions\/([^/]+)$/, (params) => this.disconnectSession(params[0])],
+      ['GET', /^\/api\/bans$/, () => this.listBans()],
+      ['POST', /^\/api\/bans$/, (params, body) => this.addBan(body)],
+      ['DELETE', /^\/api\/bans\/(.+)$/, (params) => this.removeBan(params[0])],
+      ['GET', /^\/api\/whitelist$/, () => this.listWhitelist()],
+      ['POST', /^\/api\/whitelist$/, (params, body) => this.addWhitelist(body)],
+      ['DELETE', /^\/api\/whitelist\/(.+)$/, (params) => this.removeWhitelist(params[0])],
+      ['POST', /^\/api\/reload$/, () => this.reloadLists()],
+      ['GET', /^\/api\/stats$/, () => this.getStats()],
+    ];
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+
+    this.server.on('error', (err) => {
+      logger.error('Management API error:', err.message);
+    });
+
+    const listen = parseListen(this.config.adminApiListen);
+    if (listen.path) {
+      // Remove a stale socket left behind by an earlier run, but never
+      // anything else that happens to be at a mistyped path
+      let existing = null;
+      try {
+        existing = fs.lstatSync(listen.path);
+      } catch (err) {
+        // Nothing there yet
+      }
+      if (existing && !existing.isSocket()) {
+        logger.error(`Management API not started: ${listen.path} exists and is not a socket (check ADMIN_API_LISTEN)`);
+        return null;
+      }
+      if (existing) {
+        fs.unlinkSync(listen.path);
+      }
+      this.server.listen(listen.path, () => {
+        fs.chmodSync(listen.path, 0o600);
+        logger.info(`Management API listening on ${listen.path}`);
+      });
+    } else {
+      if (!['127.0.0.1', '::1', 'localhost'].includes(listen.host)) {
+        logger.warn(`Management API is listening on ${listen.host}, not just localhost`);
+      }
+      this.server.listen(listen.port, listen.host, () => {
+        logger.info(`Management API listening on ${listen.host}:${listen.port}`);
+      });
+    }
+
+    return this.server;
+  }
+
+  async handleRequest(req, res) {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (err) {
+      sendJSON(res, 400, { error: 'Invalid URL' });
+      return;
+    }
+
+    try {
+      if (!tokenMatches(req.headers.authorization, this.config.adminApiToken)) {
+        throw new HTTPError(401, 'Missing or invalid token');
+      }
+
+      let methodAllowed = false;
+      for (const [method, pattern, handler] of this.routes) {
+        const match = pattern.exec(url.pathname);
+        if (!match) {
+          continue;
+        }
+        methodAllowed = true;
+        if (method !== req.method) {
+          continue;
+        }
+
+        const params = match.slice(1).map(decodeParam);
+        const body = req.method === 'POST' ? await readBody(req) : {};
+        const result = handler(params, body);
+        logger.debug(`Management API ${req.method} ${url.pathname}`);
+        sendJSON(res, 200, result);
+        return;
+      }
+
+      throw new HTTPError(methodAllowed ? 405 : 404, methodAllowed ? 'Method not allowed' : 'Not found');
+    } catch (err) {
+      const status = err.status || 500;
+      if (status === 500) {
+        logger.error(`Management API ${req.method} ${url.pathname} failed: ${err.message}`);
+      } else if (status === 401) {
+        logger.warn(`Management API request with invalid token: ${req.method} ${url.pathname}`);
+      }
+      sendJSON(res, status, { error: status === 500 ? 'Internal error' : err.message });
+    }
+  }
+
+  listSessions() {
+    return { sessions: getSessionRegistry().list() };
+  }
+
+  disconnectSession(id) {
+    if (!getSessionRegistry().disconnect(id, 'management API')) {
+      throw new HTTPError(404, `No session ${id}`);
+    }
+    return { disconnected: id };
+  }
+
+  listBans() {
+    const ipFilter = getIPFilter();
+    return {
+      temporary: ipFilter.getTemporaryBlocks(),
+      permanent: Array.from(ipFilter.blocklist),
+    };
+  }
+
+  /**
+   * Bans an IP or range: temporarily with { duration } (ms), otherwise
+   * permanently via the blocklist. { disconnect: true } also closes the
+   * banned caller's open sessions.
+   */
+  addBan(body) {
+    const ipFilter = getIPFilter();
+    const entry = requireEntry(body.ip);
+    const reason = typeof body.reason === 'string' && body.reason ? body.reason : 'Banned by sysop';
+    let result;
+
+    if (body.duration !== undefined) {
+      const duration = Number(body.duration);
+      if (!Number.isInteger(duration) || duration <= 0) {
+        throw new HTTPError(400, '"duration" must be a positive number of milliseconds');
+      }
+      if (entry.includes('/')) {
+        throw new HTTPError(400, 'Temporary bans apply to single IP addresses');
+      }
+      ipFilter.blockIP(entry, duration, reason, 'blocklist');
+      result = { banned: entry, temporary: true, blockedUntil: Date.now() + duration };
+    } else {
+      const added = ipFilter.addToBlocklist(entry);
+      result = { banned: entry, temporary: false, added, saved: Boolean(this.config.blocklistPath) };
+    }
+
+    if (body.disconnect === true) {
+      const registry = getSessionRegistry();
+      result.disconnected = registry.list()
+        .filter((session) => ipFilter.isIPBlocked(session.ip).blocked && !ipFilter.isIPWhitelisted(session.ip))
+        .map((session) => session.id)
+        .filter((id) => registry.disconnect(id, 'banned'));
+    }
+
+    return result;
+  }
+
+  /**
+   * Lifts temporary and permanent bans for an IP or range
+   */
+  removeBan(entry) {
+    const ipFilter = getIPFilter();
+    const temporary = ipFilter.unblockIP(entry);
+    const permanent = ipFilter.removeFromBlocklist(entry);
+    if (!temporary && !permanent) {
+      throw new HTTPError(404, `${entry} is not banned`);
+    }
+    return { unbanned: entry, temporary, permanent };
+  }
+
+  listWhitelist() {
+    return { whitelist: Array.from(getIPFilter().whitelist) };
+  }
+
+  addWhitelist(body) {
+    const entry = requireEntry(body.ip);
+    const added = getIPFilter().addToWhitelist(entry);
+    return { whitelisted: entry, added, saved: Boolean(this.config.whitelistPath) };
+  }
+
+  removeWhitelist(entry) {
+    if (!getIPFilter().removeFromWhitelist(entry)) {
+      throw new HTTPError(404, `${entry} is not whitelisted`);
+    }
+    return { removed: entry };
+  }
+
+  reloadLists() {
+    const ipFilter = getIPFilter();
+    ipFilter.reloadBlocklist();
+    ipFilter.reloadWhitelist();
+    return {
+      blocklistSize: ipFilter.blocklist.size,
+      whitelistSize: ipFilter.whitelist.size,
+    };
+  }
+
+  getStats() {
+    const geoip = getGeoIP();
+    return {
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+      sessions: getSessionRegistry().getStats(),
+      waitingRoom: getWaitingRoom().getStats(),
+      ipFilter: getIPFilter().getStats(),
+      threatFeeds: getThreatFeeds() ? getThreatFeeds().getStats() : [],
+      geoip: geoip ? geoip.getStats() : { enabled: false },
+      backends: getBackendPool().getStats(),
+    };
+  }
+}
+
+/**
+ * Starts the management API if enabled
+ * @returns {http.Server|null} HTTP server instance, or null if disabled or
+ *   ADMIN_API_LISTEN names something other than a socket
+ */
+function startAdminAPI(config) {
+  if (!config.adminApiEnabled) {
+    return null;
+  }
+
+  return new AdminAPI(config).start();
+}
+
+module.exports = {
+  startAdminAPI,
+};
@@ -0,0 +1,236 @@
+/**
+ * Audit trail of sessions and rejections
+ * Appends a record for each session opened and closed and each caller turned
+ * away to AUDIT_DIR, one JSON-lines file per day (audit-2026-10-19.jsonl,
+ * UTC). Files are only ever appended to; `bbsfw report` (report.js) reads
+ * them back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { getSessionRegistry } = require('./sessions');
+const { canonicalIP } = require('./ip-ranges');
+
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * Returns the audit file name for a time, e.g. "audit-2026-10-19.jsonl"
+ */
+function auditFileName(date) {
+  return `audit-${date.toISOString().slice(0, 10)}.jsonl`;
+}
+
+/**
+ * Returns the port from a session's "host:port" backend
+ */
+function backendPortOf(backend) {
+  if (!backend) {
+    return null;
+  }
+  const port = parseInt(backend.slice(backend.lastIndexOf(':') + 1), 10);
+  return isNaN(port) ? null : port;
+}
+
+/**
+ * Builds the record written when a session closes
+ * @param {string} reason - Close reason (see ProxyConnection.cleanup())
+ */
+function closeRecord(session, reason) {
+  return {
+    type: 'close',
+    id: session.id,
+    protocol: session.protocol,
+    ip: canonicalIP(session.ip) || session.ip,
+    country: session.country,
+    asn: session.asn,
+    asnOrg: session.asnOrg,
+    username: session.username,
+    encoding: session.encoding,
+    backend: session.backend,
+    backendPort: backendPortOf(session.backend),
+    startedAt: new Date(session.startedAt).toISOString(),
+    durationMs: Date.now() - session.startedAt,
+    bytesFromClient: session.bytesFromClient,
+    bytesFromBackend: session.bytesFromBackend,
+    reason,
+  };
+}
+
+/**
+ * Reads audit records
+ * @param {string} dir - Audit directory
+ * @param {string} fromDay - First day to read ("YYYY-MM-DD"); every later file is read too
+ * @returns {Object} { records, invalid } (invalid counts lines that couldn't be parsed)
+ */
+function readAudit(dir, fromDay) {
+  const records = [];
+  let invalid = 0;
+
+  const files = fs.readdirSync(dir)
+    .filter((name) => {
+      const match = name.match(FILE_PATTERN);
+      return match && match[1] >= fromDay;
+    })
+    .sort();
+
+  for (const name of files) {
+    const text = fs.readFileSync(path.join(dir, name), 'utf-8');
+    for (const line of text.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch (err) {
+        // A line cut short by a crash or a full disk
+        invalid++;
+      }
+    }
+  }
+
+  return { records, invalid };
+}
+
+class AuditLog {
+  constructor(config) {
+    this.config = config;
+    this.stream = null;
+    this.filePath = null;
+    this.streams = new Set(); // Streams not closed yet, including ones still finishing
+    this.failed = false; // Reported a write error already (reported once)
+    this.closed = false;
+  }
+
+  start() {
+    const registry = getSessionRegistry();
+
+    registry.on('session-start', (session) => {
+      this.write({
+        type: 'open',
+        id: session.id,
+        protocol: session.protocol,
+        ip: canonicalIP(session.ip) || session.ip,
+        country: session.country,
+        asn: session.asn,
+        asnOrg: session.asnOrg,
+      });
+    });
+
+    registry.on('session-end', (session) => {
+      this.write(closeRecord(session, session.closeReason));
+    });
+
+    registry.on('session-rejected', (rejection) => {
+      this.write({
+        type: 'reject',
+        protocol: rejection.protocol,
+        ip: canonicalIP(rejection.ip) || rejection.ip,
+        country: rejection.country,
+        asn: rejection.asn,
+        asnOrg: rejection.asnOrg,
+        code: rejection.code,
+        reason: rejection.reason,
+      });
+    });
+  }
+
+  /**
+   * Appends a record to today's file. Records go through a write stream, so
+   * sessions never wait for the disk.
+   */
+  write(record) {
+    if (this.closed || !this.config.auditDir) {
+      return;
+    }
+
+    const now = new Date();
+    const filePath = path.resolve(this.config.auditDir, auditFileName(now));
+
+    try {
+      if (filePath !== this.filePath) {
+        this.closeFile();
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const stream = fs.createWriteStream(filePath, { fd: fs.openSync(filePath, 'a') });
+        stream.on('error', (err) => this.reportError(filePath, err));
+        stream.on('close', () => this.streams.delete(stream));
+        this.streams.add(stream);
+        this.stream = stream;
+        this.filePath = filePath;
+      }
+      this.stream.write(`${JSON.stringify({ time: now.toISOString(), ...record })}\n`, (err) => {
+        if (!err) {
+          this.failed = false;
+        }
+      });
+    } catch (err) {
+      this.reportError(filePath, err);
+      this.closeFile();
+    }
+  }
+
+  reportError(filePath, err) {
+    if (!this.failed) {
+      this.failed = true;
+      logger.error(`Failed to write audit trail ${filePath}: ${err.message}`);
+    }
+    if (filePath === this.filePath) {
+      this.closeFile();
+    }
+  }
+
+  closeFile() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+      this.filePath = null;
+    }
+  }
+
+  /**
+   * Closes the sessions still open (reason "shutdown") and the file
+   * @param {Function} callback - Called once every record has been written
+   */
+  shutdown(callback = () => {}) {
+    for (const session of getSessionRegistry().list()) {
+      this.write(closeRecord(session, 'shutdown'));
+    }
+    this.closed = true;
+    this.closeFile();
+
+    let remaining = this.streams.size;
+    if (remaining === 0) {
+      setImmediate(callback);
+      return;
+    }
+    for (const stream of this.streams) {
+      stream.on('close', () => {
+        remaining--;
+        if (remaining === 0) {
+          callback();
+        }
+      });
+    }
+  }
+}
+
+// Singleton instance
+let auditLogInstance = null;
+
+function initializeAuditLog(config) {
+  if (!auditLogInstance) {
+    auditLogInstance = new AuditLog(config);
+    auditLogInstance.start();
+  }
+  return auditLogInstance;
+}
+
+function getAuditLog() {
+  return auditLogInstance;
+}
+
+module.exports = {
+  initializeAuditLog,
+  getAuditLog,
+  readAudit,
+};
@@ -0,0 +1,330 @@
+/**
+ * Backend pool with health checks and failover
+ * Spreads connections over one or more backend BBS servers
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const logger = require('./logger');
+
+/**
+ * Opens a TCP connection, failing if it isn't established in time
+ * @param {string} host - Backend host
+ * @param {number} port - Backend port
+ * @param {number} timeoutMs - Connect timeout (0 for none)
+ * @returns {Promise<net.Socket>} Connected socket
+ */
+function openSocket(host, port, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+
+    const onError = (err) => {
+      socket.destroy();
+      reject(err);
+    };
+
+    socket.once('error', onError);
+
+    if (timeoutMs > 0) {
+      socket.setTimeout(timeoutMs, () => {
+        onError(new Error(`Connection timed out after ${timeoutMs}ms`));
+      });
+    }
+
+    socket.once('connect', () => {
+      socket.removeListener('error', onError);
+      socket.setTimeout(0);
+      resolve(socket);
+    });
+  });
+}
+
+class BackendPool extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.backends = config.backends.map((entry) => this.createBackend(entry));
+    this.healthCheckInterval = null;
+  }
+
+  createBackend(entry) {
+    return {
+      host: entry.host,
+      port: entry.port, // null: use the port chosen per connection
+      weight: entry.weight,
+      healthy: true,
+      activeConnections: 0,
+      currentWeight: 0, // Smooth weighted round-robin state
+      failures: 0,
+      lastError: null,
+      lastCheck: null,
+    };
+  }
+
+  initialize() {
+    // A single backend has nothing to fail over to, so it isn't probed
+    if (this.backends.length > 1 && this.config.healthCheckInterval > 0) {
+      this.healthCheckInterval = setInterval(() => {
+        this.runHealthChecks();
+      }, this.config.healthCheckInterval);
+    }
+
+    logger.info('Backend pool initialized', {
+      backends: this.backends.map((backend) => this.describe(backend)).join(', '),
+      strategy: this.config.backendStrategy,
+      healthCheckInterval: this.healthCheckInterval ? `${this.config.healthCheckInterval}ms` : 'disabled',
+    });
+  }
+
+  /**
+   * Applies BACKENDS, BACKEND_STRATEGY and HEALTH_CHECK_INTERVAL after a
+   * configuration reload. Backends that are still listed keep their health
+   * and connection counts; sessions on removed backends carry on.
+   */
+  reconfigure() {
+    const existing = new Map(this.backends.map((backend) => [`${backend.host}:${backend.port}`, backend]));
+    this.backends = this.config.backends.map((entry) => {
+      const backend = existing.get(`${entry.host}:${entry.port}`);
+      if (!backend) {
+        return this.createBackend(entry);
+      }
+      backend.weight = entry.weight;
+      return backend;
+    });
+
+    this.shutdown();
+    this.healthCheckInterval = null;
+    this.initialize();
+  }
+
+  describe(backend) {
+    const address = backend.port ? `${backend.host}:${backend.port}` : backend.host;
+    return backend.weight !== 1 ? `${address}*${backend.weight}` : address;
+  }
+
+  /**
+   * Port a backend is probed on when health checking
+   */
+  probePort(backend) {
+    if (backend.port) {
+      return backend.port;
+    }
+    return this.config.encodingDetection ? this.config.backendPortCP437 : this.config.backendPort;
+  }
+
+  /**
+   * Picks the next backend, skipping any in `excluded`
+   * Healthy backends are preferred; if none are left, unhealthy ones are
+   * still tried rather than refusing the caller outright.
+   */
+  select(excluded = new Set()) {
+    const available = this.backends.filter((backend) => !excluded.has(backend));
+    const healthy = available.filter((backend) => backend.healthy);
+    const candidates = healthy.length > 0 ? healthy : available;
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    if (this.config.backendStrategy === 'least-connections') {
+      return candidates.reduce((best, backend) => (
+        backend.activeConnections / backend.weight < best.activeConnections / best.weight ? backend : best
+      ));
+    }
+
+    // Smooth weighted round-robin
+    const totalWeight = candidates.reduce((sum, backend) => sum + backend.weight, 0);
+    let best = null;
+    for (const backend of candidates) {
+      backend.currentWeight += backend.weight;
+      if (!best || backend.currentWeight > best.currentWeight) {
+        best = backend;
+      }
+    }
+    best.currentWeight -= totalWeight;
+    return best;
+  }
+
+  /**
+   * Connects to a backend, failing over to the next one on error
+   * If every backend fails, the whole pool is retried BACKEND_CONNECT_RETRIES
+   * times, BACKEND_RETRY_DELAY ms apart.
+   * @param {number} port - Port to use for backends without a fixed port
+   * @param {string} label - Prefix for log messages
+   * @param {Object} options - { onRetry(retry, err), isAborted() }
+   * @returns {Promise<Object>} { socket, backend, host, port }
+   */
+  connect(port, label = '', options = {}) {
+    return this.withRetries(() => this.connectOnce(port, label), label, options);
+  }
+
+  async connectOnce(port, label) {
+    const tried = new Set();
+    let lastError = null;
+
+    for (let backend = this.select(tried); backend; backend = this.select(tried)) {
+      tried.add(backend);
+      const targetPort = backend.port || port;
+
+      try {
+        const socket = await this.timedOpen(backend.host, targetPort);
+        backend.activeConnections++;
+        this.markHealthy(backend);
+        return { socket, backend, host: backend.host, port: targetPort };
+      } catch (err) {
+        lastError = err;
+        logger.warn(`${label}Backend ${backend.host}:${targetPort} connect failed: ${err.message}`);
+        this.markUnhealthy(backend, err);
+      }
+    }
+
+    throw lastError || new Error('No backends available');
+  }
+
+  /**
+   * Connects to a fixed target outside the pool (e.g. an SSH username route)
+   * Retried the same way as connect().
+   * @returns {Promise<Object>} { socket, backend: null, host, port }
+   */
+  connectDirect(host, port, label = '', options = {}) {
+    return this.withRetries(async () => {
+      try {
+        const socket = await this.timedOpen(host, port);
+        return { socket, backend: null, host, port };
+      } catch (err) {
+        logger.warn(`${label}Backend ${host}:${port} connect failed: ${err.message}`);
+        throw err;
+      }
+    }, label, options);
+  }
+
+  /**
+   * Opens a backend connection for a caller, reporting the outcome as a
+   * 'connect' or 'connect-failed' event ({ target, durationMs[, error] })
+   */
+  async timedOpen(host, port) {
+    const target = `${host}:${port}`;
+    const startedAt = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+    try {
+      const socket = await openSocket(host, port, this.config.backendConnectTimeout);
+      this.emit('connect', { target, durationMs: elapsed() });
+      return socket;
+    } catch (err) {
+      this.emit('connect-failed', { target, durationMs: elapsed(), error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Runs a connect attempt, retrying after a pause while it keeps failing
+   * Stops early once options.isAborted() returns true (e.g. the caller hung up).
+   */
+  async withRetries(attempt, label, options) {
+    const { onRetry, isAborted = () => false } = options;
+    const retries = this.config.backendConnectRetries;
+    const delay = this.config.backendRetryDelay;
+
+    for (let retry = 1; ; retry++) {
+      try {
+        return await attempt();
+      } catch (err) {
+        if (retry > retries || isAborted()) {
+          throw err;
+        }
+
+        logger.info(`${label}Retrying backend connection in ${delay}ms (retry ${retry}/${retries})`);
+        if (onRetry) {
+          onRetry(retry, err);
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        if (isAborted()) {
+          throw err;
+        }
+      }
+    }
+  }
+
+  /**
+   * Releases a connection obtained from connect()
+   */
+  release(backend) {
+    if (backend && backend.activeConnections > 0) {
+      backend.activeConnections--;
+    }
+  }
+
+  markHealthy(backend) {
+    backend.failures = 0;
+    backend.lastError = null;
+    if (!backend.healthy) {
+      backend.healthy = true;
+      logger.info(`Backend ${this.describe(backend)} is back online`);
+    }
+  }
+
+  markUnhealthy(backend, err) {
+    backend.failures++;
+    backend.lastError = err.message;
+    if (backend.healthy && this.backends.length > 1) {
+      backend.healthy = false;
+      logger.warn(`Backend ${this.describe(backend)} marked down: ${err.message}`);
+    }
+  }
+
+  runHealthChecks() {
+    for (const backend of this.backends) {
+      const port = this.probePort(backend);
+      backend.lastCheck = Date.now();
+
+      openSocket(backend.host, port, this.config.backendConnectTimeout)
+        .then((socket) => {
+          socket.on('error', () => {});
+          socket.destroy();
+          this.markHealthy(backend);
+        })
+        .catch((err) => {
+          logger.debug(`Health check failed for ${backend.host}:${port}: ${err.message}`);
+          this.markUnhealthy(backend, err);
+        });
+    }
+  }
+
+  getStats() {
+    return this.backends.map((backend) => ({
+      backend: this.describe(backend),
+      healthy: backend.healthy,
+      activeConnections: backend.activeConnections,
+      failures: backend.failures,
+      lastError: backend.lastError,
+    }));
+  }
+
+  shutdown() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+    }
+  }
+}
+
+// Singleton instance
+let backendPoolInstance = null;
+
+function initializeBackendPool(config) {
+  if (!backendPoolInstance) {
+    backendPoolInstance = new BackendPool(config);
+    backendPoolInstance.initialize();
+  }
+  return backendPoolInstance;
+}
+
+function getBackendPool() {
+  return backendPoolInstance;
+}
+
+module.exports = {
+  initializeBackendPool,
+  getBackendPool,
+};
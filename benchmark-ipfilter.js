@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark for blocklist lookups
+ *
+ * Usage: node benchmark-ipfilter.js [size ...]
+ * Compares the range-list lookup used by the IP filter with a linear scan
+ * that parses every entry on each lookup (how lists used to be checked),
+ * for lists of each size (default: 1000 10000 100000 entries).
+ */
+
+const { IPRangeList, parseIP, parseCIDR, formatRange } = require('./ip-ranges');
+
+// Time spent measuring each method at each size (ms)
+const TIME_BUDGET = 1000;
+
+// Deterministic pseudo-random numbers (mulberry32), so runs are comparable
+let seed = 42;
+function random() {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function randomIPv4() {
+  return Array.from({ length: 4 }, () => Math.floor(random() * 256)).join('.');
+}
+
+function randomIPv6() {
+  return Array.from({ length: 8 }, () => Math.floor(random() * 65536).toString(16)).join(':');
+}
+
+/**
+ * Builds a threat-list-like mix: mostly IPv4 hosts and ranges, some IPv6
+ */
+function randomEntries(size) {
+  const entries = [];
+  for (let i = 0; i < size; i++) {
+    const roll = random();
+    if (roll < 0.6) {
+      entries.push(randomIPv4());
+    } else if (roll < 0.9) {
+      entries.push(`${randomIPv4()}/${16 + Math.floor(random() * 9)}`);
+    } else {
+      entries.push(`${randomIPv6()}/${32 + Math.floor(random() * 33)}`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Runs fn repeatedly for about TIME_BUDGET ms
+ * @returns {number} Microseconds per call
+ */
+function measure(fn, inputs) {
+  let calls = 0;
+  const start = process.hrtime.bigint();
+  const deadline = start + BigInt(TIME_BUDGET) * 1000000n;
+  while (process.hrtime.bigint() < deadline) {
+    fn(inputs[calls % inputs.length]);
+    calls++;
+  }
+  return Number(process.hrtime.bigint() - start) / 1000 / calls;
+}
+
+function formatTime(microseconds) {
+  return microseconds >= 1000 ? `${(microseconds / 1000).toFixed(2)} ms` : `${microseconds.toFixed(2)} µs`;
+}
+
+const sizes = process.argv.slice(2).map(Number).filter(size => size > 0);
+const callers = Array.from({ length: 1000 }, (_, i) => (i % 10 === 0 ? randomIPv6() : randomIPv4()));
+
+console.log(`${'Entries'.padStart(8)}  ${'Load'.padStart(10)}  ${'Range list'.padStart(12)}  ${'Linear scan'.padStart(12)}  Speedup`);
+
+for (const size of sizes.length > 0 ? sizes : [1000, 10000, 100000]) {
+  const raw = randomEntries(size);
+
+  const loadStart = process.hrtime.bigint();
+  const list = new IPRangeList();
+  let duplicates = 0;
+  for (const value of raw) {
+    const range = parseCIDR(value);
+    if (!list.add(formatRange(range), range)) {
+      duplicates++;
+    }
+  }
+  const overlaps = list.rebuild();
+  const loadTime = Number(process.hrtime.bigint() - loadStart) / 1000;
+
+  const indexed = measure((ip) => list.find(parseIP(ip)), callers);
+  const linear = measure((ip) => {
+    const address = parseIP(ip);
+    for (const entry of raw) {
+      const range = parseCIDR(entry);
+      if (range.version === address.version && (address.value & range.mask) === range.network) {
+        return true;
+      }
+    }
+    return false;
+  }, callers);
+
+  console.log([
+    String(size).padStart(8),
+    formatTime(loadTime).padStart(10),
+    formatTime(indexed).padStart(12),
+    formatTime(linear).padStart(12),
+    `${Math.round(linear / indexed)}x`.padStart(7),
+    ` (${duplicates} duplicates, ${overlaps.length} covered by wider ranges)`,
+  ].join('  '));
+}
@@ -2,107 +2,645 @@
  * Configuration management for bbsfw
  */
 
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Variables set in the real environment; like at startup, they take
+// precedence over .env when the configuration is reloaded
+const processEnv = { ...process.env };
+
 // Load environment variables from .env file
-require('dotenv').config();
-
-const config = {
-  // Port to listen on for incoming connections
-  listenPort: parseInt(process.env.LISTEN_PORT || '23', 10),
-  
-  // Backend server to forward connections to
-  backendHost: process.env.BACKEND_HOST || '127.0.0.1',
-  backendPort: parseInt(process.env.BACKEND_PORT || '2323', 10),
-  
-  // Encoding-based backend routing
-  encodingDetection: process.env.ENCODING_DETECTION === 'true',
-  backendPortCP437: parseInt(process.env.BACKEND_PORT_CP437 || '2323', 10),
-  backendPortUTF8: parseInt(process.env.BACKEND_PORT_UTF8 || '2423', 10),
-  
-  // Server settings
-  maxConnections: parseInt(process.env.MAX_CONNECTIONS || '100', 10),
-  connectionTimeout: parseInt(process.env.CONNECTION_TIMEOUT || '300000', 10), // 5 minutes default
-  
-  // Country blocking (comma-separated ISO 3166-1 alpha-2 country codes)
-  // Example: BLOCKED_COUNTRIES=CN,RU,KP
-  blockedCountries: process.env.BLOCKED_COUNTRIES 
-    ? process.env.BLOCKED_COUNTRIES.split(',').map(c => c.trim().toUpperCase()).filter(c => c)
-    : [],
-  
-  // Block connections when country cannot be determined
-  blockUnknownCountries: process.env.BLOCK_UNKNOWN_COUNTRIES === 'true',
-  
-  // IP blocklist file path
-  blocklistPath: process.env.BLOCKLIST_PATH || '',
-  
-  // IP whitelist file path (IPs exempt from all firewall rules)
-  whitelistPath: process.env.WHITELIST_PATH || '',
-  
-  // Rate limiting / flood protection
-  rateLimitEnabled: process.env.RATE_LIMIT_ENABLED !== 'false', // Enabled by default
-  maxConnectionsPerWindow: parseInt(process.env.MAX_CONNECTIONS_PER_WINDOW || '10', 10),
-  rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10), // 1 minute default
-  rateLimitBlockDurationMs: parseInt(process.env.RATE_LIMIT_BLOCK_DURATION_MS || '300000', 10), // 5 minutes default
-  
-  // Logging
-  logLevel: process.env.LOG_LEVEL || 'info',
-  
-  // SSH Server settings
-  sshEnabled: process.env.SSH_ENABLED === 'true',
-  sshListenPort: parseInt(process.env.SSH_LISTEN_PORT || '2222', 10),
-  sshHostKey: process.env.SSH_HOST_KEY || './ssh_host_key',
-  
-  // SSH Ciphers (comma-separated list)
-  // Default includes modern and legacy ciphers for compatibility
-  // For very old clients, you may need to add: 3des-cbc,aes128-cbc,aes256-cbc
-  sshCiphers: process.env.SSH_CIPHERS
-    ? process.env.SSH_CIPHERS.split(',').map(c => c.trim()).filter(c => c)
-    : [
-        'aes128-gcm@openssh.com',
-        'aes256-gcm@openssh.com',
-        'aes128-ctr',
-        'aes192-ctr',
-        'aes256-ctr',
-        'aes128-cbc',
-        'aes192-cbc',
-        'aes256-cbc',
-        '3des-cbc',
-      ],
+dotenv.config();
+
+const ENV_FILE = path.resolve(process.cwd(), '.env');
+
+// Settings bound when bbsfw starts; changing them requires a restart
+const RESTART_REQUIRED = [
+  'listenPort',
+  'sshEnabled',
+  'sshListenPort',
+  'sshHostKey',
+  'sshCiphers',
+  'sshAuthModes',
+  'sshCredentialsPath',
+  'sshAuthorizedKeysPath',
+  'adminApiEnabled',
+  'adminApiListen',
+  'dashboardEnabled',
+  'dashboardListen',
+  'dashboardUpdateInterval',
+  'metricsEnabled',
+  'metricsListen',
+  'statePath',
+  'auditDir',
+];
+
+/**
+ * Parses a "host:port" or "port" target
+ * Bracketed IPv6 hosts ("[::1]:2323") are supported.
+ * @returns {Object} { host, port } (port is NaN if invalid)
+ */
+function parseTarget(value, defaultHost) {
+  const match = value.trim().match(/^(?:\[([^\]]+)\]|([^:]+)):(\d+)$/);
+  if (match) {
+    return { host: match[1] || match[2], port: parseInt(match[3], 10) };
+  }
+  return { host: defaultHost, port: /^\d+$/.test(value.trim()) ? parseInt(value, 10) : NaN };
+}
+
+/**
+ * Parses BACKENDS ("host[:port][*weight],...")
+ * Without BACKENDS, the pool is just BACKEND_HOST.
+ * @returns {Array<Object>} [{ host, port, weight }] (port is null if not fixed)
+ */
+function parseBackends(value, defaultHost) {
+  if (!value) {
+    return [{ host: defaultHost, port: null, weight: 1 }];
+  }
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry)
+    .map(entry => {
+      const [address, weight = '1'] = entry.split('*');
+      const hasPort = /^(\[[^\]]+\]|[^:]+):\d+$/.test(address.trim());
+      const target = hasPort
+        ? parseTarget(address, defaultHost)
+        : { host: address.trim().replace(/^\[(.*)\]$/, '$1'), port: null };
+      return { ...target, weight: parseInt(weight, 10) };
+    });
+}
+
+/**
+ * Parses SSH_ROUTES ("name=host:port,name2=port,...")
+ * @returns {Array<Object>} [{ username, host, port }]
+ */
+function parseRoutes(value, defaultHost) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry)
+    .map(entry => {
+      const [username, target = ''] = entry.split('=');
+      return { username: username.trim().toLowerCase(), ...parseTarget(target, defaultHost) };
+    });
+}
+
+// Syslog facility codes accepted in SYSLOG_FACILITY (see logger.js)
+const SYSLOG_FACILITIES = {
+  user: 1,
+  daemon: 3,
+  auth: 4,
+  authpriv: 10,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23,
 };
 
+/**
+ * Parses SYSLOG_TARGET: udp://host[:port], tcp://host[:port] or a local
+ * socket path such as /dev/log
+ * @returns {Object|null} { transport, host, port } or { transport: 'unix', path }
+ */
+function parseSyslogTarget(value) {
+  if (!value) {
+    return null;
+  }
+  if (value.startsWith('/')) {
+    return { transport: 'unix', path: value };
+  }
+
+  const match = value.match(/^(udp|tcp):\/\/(?:\[([^\]]+)\]|([^:/]+))(?::(\d+))?\/?$/i);
+  const port = match && match[4] ? parseInt(match[4], 10) : 514;
+  if (!match || port < 1 || port > 65535) {
+    return null;
+  }
+  return {
+    transport: match[1].toLowerCase(),
+    host: match[2] || match[3],
+    port,
+  };
+}
+
+// Units accepted in THREAT_FEEDS refresh intervals
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Longest delay setTimeout() accepts (about 24.8 days); longer ones fire at once
+const MAX_TIMER_MS = 2147483647;
+
+/**
+ * Parses THREAT_FEEDS ("name=path-or-url[@interval],...")
+ * Intervals need a unit: s, m, h or d (e.g. "spamhaus=https://...@12h").
+ * @returns {Array<Object>} [{ name, source, refreshMs }]
+ */
+function parseFeeds(value, defaultRefreshMs) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry)
+    .map(entry => {
+      const separator = entry.indexOf('=');
+      const name = separator > 0 ? entry.slice(0, separator).trim() : '';
+      let source = entry.slice(separator + 1).trim();
+      let refreshMs = defaultRefreshMs;
+
+      const interval = source.match(/^(.*)@(\d+)([smhd])$/);
+      if (interval) {
+        source = interval[1].trim();
+        refreshMs = parseInt(interval[2], 10) * DURATION_UNITS[interval[3]];
+      }
+      return { name, source, refreshMs };
+    });
+}
+
+/**
+ * Builds the configuration from environment variables
+ * @param {Object} env - Variables to read (process.env, or a fresh set on reload)
+ */
+function buildConfig(env) {
+  return {
+    // Port to listen on for incoming connections
+    listenPort: parseInt(env.LISTEN_PORT || '23', 10),
+    
+    // Backend server to forward connections to
+    backendHost: env.BACKEND_HOST || '127.0.0.1',
+    backendPort: parseInt(env.BACKEND_PORT || '2323', 10),
+    
+    // Backend pool (comma-separated host[:port][*weight] entries), replaces
+    // BACKEND_HOST when set. Entries without a port use BACKEND_PORT or the
+    // encoding-selected port. Example: BACKENDS=10.0.0.1,10.0.0.2*2
+    backends: parseBackends(env.BACKENDS, env.BACKEND_HOST || '127.0.0.1'),
+    
+    // Backend selection: round-robin (weighted) or least-connections
+    backendStrategy: env.BACKEND_STRATEGY || 'round-robin',
+    
+    // How often to probe pool members with a TCP connect (0 to disable)
+    healthCheckInterval: parseInt(env.HEALTH_CHECK_INTERVAL || '10000', 10),
+    
+    // Give up on a backend connect attempt after this long (0 for OS default)
+    backendConnectTimeout: parseInt(env.BACKEND_CONNECT_TIMEOUT || '5000', 10),
+    
+    // Retry rounds when no backend can be reached, and the pause between them
+    backendConnectRetries: parseInt(env.BACKEND_CONNECT_RETRIES || '2', 10),
+    backendRetryDelay: parseInt(env.BACKEND_RETRY_DELAY || '2000', 10),
+    
+    // Notice shown to callers while connect attempts are retried (empty to disable)
+    connectingNotice: env.CONNECTING_NOTICE !== undefined
+      ? env.CONNECTING_NOTICE
+      : 'Connecting to the BBS...',
+    
+    // Screen shown when the BBS can't be reached (ASCII or ANSI file)
+    offlineScreenPath: env.OFFLINE_SCREEN_PATH || '',
+    
+    // Encoding screen files are written in: cp437 or utf8
+    screenEncoding: (env.SCREEN_ENCODING || 'cp437').toLowerCase(),
+    
+    // Screens shown to rejected callers before disconnecting, per reason.
+    // Templates may use {{ip}}, {{country}}, {{asn}}, {{reason}}, {{unblock_time}} etc.
+    // REJECT_SCREEN_PATH is used for reasons without their own screen.
+    rejectScreens: {
+      default: env.REJECT_SCREEN_PATH || '',
+      blocklist: env.REJECT_SCREEN_BLOCKLIST || '',
+      ratelimit: env.REJECT_SCREEN_RATELIMIT || '',
+      country: env.REJECT_SCREEN_COUNTRY || '',
+      'unknown-ip': env.REJECT_SCREEN_UNKNOWN_IP || '',
+      'max-connections': env.REJECT_SCREEN_MAX_CONNECTIONS || '',
+      'session-limit': env.REJECT_SCREEN_SESSION_LIMIT || '',
+      asn: env.REJECT_SCREEN_ASN || '',
+    },
+    
+    // Encoding-based backend routing
+    encodingDetection: env.ENCODING_DETECTION === 'true',
+    backendPortCP437: parseInt(env.BACKEND_PORT_CP437 || '2323', 10),
+    backendPortUTF8: parseInt(env.BACKEND_PORT_UTF8 || '2423', 10),
+    
+    // Telnet option negotiation (TTYPE, NEW-ENVIRON, CHARSET) before connecting
+    // to the backend, used for encoding detection. 0 disables negotiation.
+    telnetNegotiationTimeout: parseInt(env.TELNET_NEGOTIATION_TIMEOUT || '3000', 10),
+    
+    // Server settings
+    maxConnections: parseInt(env.MAX_CONNECTIONS || '100', 10),
+    connectionTimeout: parseInt(env.CONNECTION_TIMEOUT || '300000', 10), // 5 minutes default
+    
+    // Simultaneous sessions allowed per IP and per subnet (0 for no limit).
+    // Subnets are /SUBNET_PREFIX_IPV4 for IPv4 and /SUBNET_PREFIX_IPV6 for IPv6.
+    maxSessionsPerIP: parseInt(env.MAX_SESSIONS_PER_IP || '0', 10),
+    maxSessionsPerSubnet: parseInt(env.MAX_SESSIONS_PER_SUBNET || '0', 10),
+    subnetPrefixIPv4: parseInt(env.SUBNET_PREFIX_IPV4 || '24', 10),
+    subnetPrefixIPv6: parseInt(env.SUBNET_PREFIX_IPV6 || '64', 10),
+    
+    // Waiting room for callers arriving while MAX_CONNECTIONS are in use
+    // (QUEUE_MAX_LENGTH=0 disables it and busy callers are turned away)
+    queueMaxLength: parseInt(env.QUEUE_MAX_LENGTH || '0', 10),
+    queueMaxWait: parseInt(env.QUEUE_MAX_WAIT || '600000', 10), // 10 minutes default, 0 for no limit
+    queueUpdateInterval: parseInt(env.QUEUE_UPDATE_INTERVAL || '30000', 10),
+    
+    // Country blocking (comma-separated ISO 3166-1 alpha-2 country codes)
+    // Example: BLOCKED_COUNTRIES=CN,RU,KP
+    blockedCountries: env.BLOCKED_COUNTRIES 
+      ? env.BLOCKED_COUNTRIES.split(',').map(c => c.trim().toUpperCase()).filter(c => c)
+      : [],
+    
+    // Block connections when country cannot be determined
+    blockUnknownCountries: env.BLOCK_UNKNOWN_COUNTRIES === 'true',
+    
+    // Network blocking with the GeoLite2-ASN database: autonomous system
+    // numbers, and patterns for the network's organisation name (case
+    // insensitive, * matches anything)
+    // Example: BLOCKED_ASNS=AS14061,16276  BLOCKED_ASN_ORGS=*hosting*,OVH*
+    blockedASNs: env.BLOCKED_ASNS
+      ? env.BLOCKED_ASNS.split(',').map(a => a.trim()).filter(a => a).map(a => Number(a.replace(/^AS/i, '')))
+      : [],
+    blockedASNOrgs: env.BLOCKED_ASN_ORGS
+      ? env.BLOCKED_ASN_ORGS.split(',').map(p => p.trim()).filter(p => p)
+      : [],
+    
+    // IP blocklist file path
+    blocklistPath: env.BLOCKLIST_PATH || '',
+    
+    // Threat feeds merged into the blocklist, each refreshed on its own schedule
+    // Example: THREAT_FEEDS=drop=https://www.spamhaus.org/drop/drop.txt@12h,level1=/etc/firehol/firehol_level1.netset
+    threatFeedRefreshMs: parseInt(env.THREAT_FEED_REFRESH_MS || '86400000', 10), // 24 hours default
+    threatFeeds: parseFeeds(env.THREAT_FEEDS, parseInt(env.THREAT_FEED_REFRESH_MS || '86400000', 10)),
+    
+    // IP whitelist file path (IPs exempt from all firewall rules)
+    whitelistPath: env.WHITELIST_PATH || '',
+    
+    // Rate limiting / flood protection
+    rateLimitEnabled: env.RATE_LIMIT_ENABLED !== 'false', // Enabled by default
+    maxConnectionsPerWindow: parseInt(env.MAX_CONNECTIONS_PER_WINDOW || '10', 10),
+    rateLimitWindowMs: parseInt(env.RATE_LIMIT_WINDOW_MS || '60000', 10), // 1 minute default
+    rateLimitBlockDurationMs: parseInt(env.RATE_LIMIT_BLOCK_DURATION_MS || '300000', 10), // 5 minutes default
+    
+    // Escalating blocks for repeat offenders: each offence multiplies the
+    // block (up to the maximum); RATE_LIMIT_PERMANENT_AFTER=N moves an IP to
+    // the blocklist on its Nth offence (0 never does). Each quiet period
+    // without an offence forgives one offence (0 never forgives).
+    rateLimitBlockMultiplier: parseFloat(env.RATE_LIMIT_BLOCK_MULTIPLIER || '2'),
+    rateLimitMaxBlockDurationMs: parseInt(env.RATE_LIMIT_MAX_BLOCK_DURATION_MS || '86400000', 10), // 24 hours default
+    rateLimitPermanentAfter: parseInt(env.RATE_LIMIT_PERMANENT_AFTER || '0', 10),
+    rateLimitOffenceDecayMs: parseInt(env.RATE_LIMIT_OFFENCE_DECAY_MS || '86400000', 10), // 24 hours default
+    
+    // State file keeping temporary blocks across restarts (disabled unless set)
+    statePath: env.STATE_PATH || '',
+    persistRateLimitHistory: env.PERSIST_RATE_LIMIT_HISTORY === 'true',
+    
+    // Audit trail of sessions and rejections, one file per day (disabled unless set)
+    auditDir: env.AUDIT_DIR || '',
+    
+    // HTTP management API (sessions, bans, whitelist, stats)
+    // ADMIN_API_LISTEN is host:port or a unix socket path
+    adminApiEnabled: env.ADMIN_API_ENABLED === 'true',
+    adminApiListen: env.ADMIN_API_LISTEN || '127.0.0.1:8023',
+    adminApiToken: env.ADMIN_API_TOKEN || '',
+    
+    // Live web dashboard (read-only). DASHBOARD_PASSWORD enables HTTP basic auth.
+    dashboardEnabled: env.DASHBOARD_ENABLED === 'true',
+    dashboardListen: env.DASHBOARD_LISTEN || '127.0.0.1:8024',
+    dashboardPassword: env.DASHBOARD_PASSWORD || '',
+    dashboardUpdateInterval: parseInt(env.DASHBOARD_UPDATE_INTERVAL || '2000', 10),
+    
+    // Prometheus metrics endpoint (/metrics)
+    metricsEnabled: env.METRICS_ENABLED === 'true',
+    metricsListen: env.METRICS_LISTEN || '127.0.0.1:9323',
+    
+    // Reload when .env, BLOCKLIST_PATH or WHITELIST_PATH change on disk
+    // (SIGHUP always reloads)
+    reloadOnChange: env.RELOAD_ON_CHANGE !== 'false',
+    
+    // Logging
+    logLevel: env.LOG_LEVEL || 'info',
+    
+    // Log format (text or json lines) and optional log file. The file is
+    // rotated when it reaches LOG_MAX_SIZE bytes (0 for no limit) and at the
+    // start of each day or hour (LOG_ROTATE: daily, hourly or none), keeping
+    // LOG_MAX_FILES old files.
+    logFormat: (env.LOG_FORMAT || 'text').toLowerCase(),
+    logFile: env.LOG_FILE || '',
+    logMaxSize: parseInt(env.LOG_MAX_SIZE || '10485760', 10), // 10 MB default
+    logRotate: (env.LOG_ROTATE || 'daily').toLowerCase(),
+    logMaxFiles: parseInt(env.LOG_MAX_FILES || '7', 10),
+    
+    // Also send logs to syslog: udp://host[:port], tcp://host[:port] or a
+    // local socket such as /dev/log (empty disables)
+    syslogTarget: env.SYSLOG_TARGET || '',
+    syslogFacility: (env.SYSLOG_FACILITY || 'daemon').toLowerCase(),
+    syslogTag: env.SYSLOG_TAG || 'bbsfw',
+    
+    // SSH Server settings
+    sshEnabled: env.SSH_ENABLED === 'true',
+    sshListenPort: parseInt(env.SSH_LISTEN_PORT || '2222', 10),
+    sshHostKey: env.SSH_HOST_KEY || './ssh_host_key',
+    
+    // SSH authentication modes (comma-separated): open, password, publickey
+    // open accepts any credentials; password and publickey can be combined
+    sshAuthModes: (env.SSH_AUTH_MODE || 'open')
+      .split(',').map(m => m.trim().toLowerCase()).filter(m => m),
+    
+    // Credentials file for password auth (username:hash lines)
+    sshCredentialsPath: env.SSH_CREDENTIALS_PATH || '',
+    
+    // Authorized keys file for publickey auth (username followed by a key)
+    sshAuthorizedKeysPath: env.SSH_AUTHORIZED_KEYS_PATH || '',
+    
+    // Pass the SSH username to the backend via telnet NEW-ENVIRON USER
+    sshForwardUsername: env.SSH_FORWARD_USERNAME === 'true',
+    
+    // Username-based SSH routing (comma-separated username=host:port entries)
+    // Example: SSH_ROUTES=utf8=127.0.0.1:2423,lord=10.0.0.5:2500,node2=2324
+    sshRoutes: parseRoutes(env.SSH_ROUTES, env.BACKEND_HOST || '127.0.0.1'),
+    
+    // Route for usernames not in SSH_ROUTES: "encoding" (BACKEND_HOST and the
+    // encoding-selected port), "reject", or a host:port target
+    sshDefaultRoute: env.SSH_DEFAULT_ROUTE || 'encoding',
+    
+    // SFTP subsystem serving a BBS file area (read-only)
+    sftpEnabled: env.SFTP_ENABLED === 'true',
+    sftpRoot: env.SFTP_ROOT || '',
+    
+    // Optional upload directory, exposed to SFTP clients as /incoming
+    sftpUploadDir: env.SFTP_UPLOAD_DIR || '',
+    sftpMaxUploadSize: parseInt(env.SFTP_MAX_UPLOAD_SIZE || '104857600', 10), // 100 MB default, 0 for no limit
+    
+    // Quota for the whole upload directory, so callers can't fill the disk
+    sftpIncomingMaxSize: parseInt(env.SFTP_INCOMING_MAX_SIZE || '1073741824', 10), // 1 GB default, 0 for no limit
+    sftpIncomingMaxFiles: parseInt(env.SFTP_INCOMING_MAX_FILES || '1000', 10), // 0 for no limit
+    
+    // SSH Ciphers (comma-separated list)
+    // Default includes modern and legacy ciphers for compatibility
+    // For very old clients, you may need to add: 3des-cbc,aes128-cbc,aes256-cbc
+    sshCiphers: env.SSH_CIPHERS
+      ? env.SSH_CIPHERS.split(',').map(c => c.trim()).filter(c => c)
+      : [
+          'aes128-gcm@openssh.com',
+          'aes256-gcm@openssh.com',
+          'aes128-ctr',
+          'aes192-ctr',
+          'aes256-ctr',
+          'aes128-cbc',
+          'aes192-cbc',
+          'aes256-cbc',
+          '3des-cbc',
+        ],
+  };
+}
+
+const config = buildConfig(process.env);
+
 /**
  * Validates the configuration
+ * @param {Object} settings - Configuration to check (defaults to the live one)
  */
-function validateConfig() {
+function validateConfig(settings = config) {
   const errors = [];
   
-  if (config.listenPort < 1 || config.listenPort > 65535) {
+  if (settings.listenPort < 1 || settings.listenPort > 65535) {
     errors.push('LISTEN_PORT must be between 1 and 65535');
   }
   
-  if (config.backendPort < 1 || config.backendPort > 65535) {
+  if (settings.backendPort < 1 || settings.backendPort > 65535) {
     errors.push('BACKEND_PORT must be between 1 and 65535');
   }
   
-  if (!config.backendHost) {
+  if (!settings.backendHost) {
     errors.push('BACKEND_HOST is required');
   }
   
-  if (config.maxConnectionsPerWindow < 1) {
+  for (const backend of settings.backends) {
+    if (!backend.host || (backend.port !== null && (isNaN(backend.port) || backend.port < 1 || backend.port > 65535))) {
+      errors.push(`BACKENDS entry "${backend.host}" must be host, host:port or host:port*weight`);
+    }
+    if (isNaN(backend.weight) || backend.weight < 1) {
+      errors.push(`BACKENDS weight for "${backend.host}" must be a positive integer`);
+    }
+  }
+  
+  if (!['round-robin', 'least-connections'].includes(settings.backendStrategy)) {
+    errors.push('BACKEND_STRATEGY must be round-robin or least-connections');
+  }
+  
+  if (isNaN(settings.healthCheckInterval) || settings.healthCheckInterval < 0) {
+    errors.push('HEALTH_CHECK_INTERVAL must be 0 or a positive number of milliseconds');
+  }
+  
+  if (isNaN(settings.backendConnectTimeout) || settings.backendConnectTimeout < 0) {
+    errors.push('BACKEND_CONNECT_TIMEOUT must be 0 or a positive number of milliseconds');
+  }
+  
+  if (isNaN(settings.backendConnectRetries) || settings.backendConnectRetries < 0) {
+    errors.push('BACKEND_CONNECT_RETRIES must be 0 or a positive number');
+  }
+  
+  if (isNaN(settings.backendRetryDelay) || settings.backendRetryDelay < 0) {
+    errors.push('BACKEND_RETRY_DELAY must be 0 or a positive number of milliseconds');
+  }
+  
+  if (!['cp437', 'utf8'].includes(settings.screenEncoding)) {
+    errors.push('SCREEN_ENCODING must be cp437 or utf8');
+  }
+  
+  if (isNaN(settings.telnetNegotiationTimeout) || settings.telnetNegotiationTimeout < 0) {
+    errors.push('TELNET_NEGOTIATION_TIMEOUT must be 0 or a positive number of milliseconds');
+  }
+  
+  if (isNaN(settings.maxSessionsPerIP) || settings.maxSessionsPerIP < 0) {
+    errors.push('MAX_SESSIONS_PER_IP must be 0 or a positive number');
+  }
+  
+  if (isNaN(settings.maxSessionsPerSubnet) || settings.maxSessionsPerSubnet < 0) {
+    errors.push('MAX_SESSIONS_PER_SUBNET must be 0 or a positive number');
+  }
+  
+  if (isNaN(settings.subnetPrefixIPv4) || settings.subnetPrefixIPv4 < 0 || settings.subnetPrefixIPv4 > 32) {
+    errors.push('SUBNET_PREFIX_IPV4 must be between 0 and 32');
+  }
+  
+  if (isNaN(settings.subnetPrefixIPv6) || settings.subnetPrefixIPv6 < 0 || settings.subnetPrefixIPv6 > 128) {
+    errors.push('SUBNET_PREFIX_IPV6 must be between 0 and 128');
+  }
+  
+  if (isNaN(settings.queueMaxLength) || settings.queueMaxLength < 0) {
+    errors.push('QUEUE_MAX_LENGTH must be 0 or a positive number');
+  }
+  
+  if (isNaN(settings.queueMaxWait) || settings.queueMaxWait < 0) {
+    errors.push('QUEUE_MAX_WAIT must be 0 or a positive number of milliseconds');
+  }
+  
+  if (isNaN(settings.queueUpdateInterval) || settings.queueUpdateInterval < 0) {
+    errors.push('QUEUE_UPDATE_INTERVAL must be 0 or a positive number of milliseconds');
+  }
+  
+  if (settings.blockedASNs.some(asn => !Number.isInteger(asn) || asn < 1 || asn > 4294967295)) {
+    errors.push('BLOCKED_ASNS must be AS numbers, e.g. 14061 or AS14061');
+  }
+  
+  if (settings.adminApiEnabled) {
+    if (!settings.adminApiListen) {
+      errors.push('ADMIN_API_LISTEN is required when the management API is enabled');
+    }
+    
+    if (settings.adminApiToken.length < 16) {
+      errors.push('ADMIN_API_TOKEN of at least 16 characters is required when the management API is enabled');
+    }
+  }
+  
+  if (settings.dashboardEnabled) {
+    const listen = parseTarget(settings.dashboardListen, '127.0.0.1');
+    if (isNaN(listen.port) || listen.port < 1 || listen.port > 65535) {
+      errors.push('DASHBOARD_LISTEN must be host:port or a port');
+    }
+    
+    if (isNaN(settings.dashboardUpdateInterval) || settings.dashboardUpdateInterval < 250) {
+      errors.push('DASHBOARD_UPDATE_INTERVAL must be at least 250 milliseconds');
+    }
+  }
+  
+  if (settings.metricsEnabled) {
+    const listen = parseTarget(settings.metricsListen, '127.0.0.1');
+    if (isNaN(listen.port) || listen.port < 1 || listen.port > 65535) {
+      errors.push('METRICS_LISTEN must be host:port or a port');
+    }
+  }
+  
+  if (!['text', 'json'].includes(settings.logFormat)) {
+    errors.push('LOG_FORMAT must be text or json');
+  }
+  
+  if (settings.logFile) {
+    if (isNaN(settings.logMaxSize) || settings.logMaxSize < 0) {
+      errors.push('LOG_MAX_SIZE must be 0 (no limit) or a number of bytes');
+    }
+    
+    if (!['daily', 'hourly', 'none'].includes(settings.logRotate)) {
+      errors.push('LOG_ROTATE must be daily, hourly or none');
+    }
+    
+    if (isNaN(settings.logMaxFiles) || settings.logMaxFiles < 0) {
+      errors.push('LOG_MAX_FILES must be 0 or more');
+    }
+  }
+  
+  if (settings.syslogTarget && !parseSyslogTarget(settings.syslogTarget)) {
+    errors.push('SYSLOG_TARGET must be udp://host[:port], tcp://host[:port] or a socket path such as /dev/log');
+  }
+  
+  if (!Object.keys(SYSLOG_FACILITIES).includes(settings.syslogFacility)) {
+    errors.push(`SYSLOG_FACILITY must be one of: ${Object.keys(SYSLOG_FACILITIES).join(', ')}`);
+  }
+  
+  if (!/^[\x21-\x7e]{1,48}$/.test(settings.syslogTag)) {
+    errors.push('SYSLOG_TAG must be 1-48 printable characters without spaces');
+  }
+  
+  if (settings.maxConnectionsPerWindow < 1) {
     errors.push('MAX_CONNECTIONS_PER_WINDOW must be at least 1');
   }
   
-  if (config.rateLimitWindowMs < 1000) {
+  if (settings.rateLimitWindowMs < 1000) {
     errors.push('RATE_LIMIT_WINDOW_MS must be at least 1000 (1 second)');
   }
-  
-  if (config.sshEnabled) {
-    if (config.sshListenPort < 1 || config.sshListenPort > 65535) {
+
+  const feedNames = new Set();
+  for (const feed of settings.threatFeeds) {
+    if (!/^[\w.-]+$/.test(feed.name) || !feed.source) {
+      errors.push('THREAT_FEEDS entries must be name=path-or-url[@interval] (names: letters, digits, ".", "_", "-")');
+    } else if (feedNames.has(feed.name)) {
+      errors.push(`THREAT_FEEDS has more than one feed named ${feed.name}`);
+    }
+    if (isNaN(feed.refreshMs) || feed.refreshMs < 60000) {
+      errors.push(`Threat feed ${feed.name || feed.source} must refresh at most once a minute (THREAT_FEED_REFRESH_MS or @interval)`);
+    }
+    if (feed.refreshMs > MAX_TIMER_MS) {
+      errors.push(`Threat feed ${feed.name || feed.source} must refresh at least every 24 days (THREAT_FEED_REFRESH_MS or @interval)`);
+    }
+    feedNames.add(feed.name);
+  }
+
+  if (isNaN(settings.rateLimitBlockMultiplier) || settings.rateLimitBlockMultiplier < 1) {
+    errors.push('RATE_LIMIT_BLOCK_MULTIPLIER must be at least 1 (1 disables escalation)');
+  }
+
+  if (isNaN(settings.rateLimitMaxBlockDurationMs) || settings.rateLimitMaxBlockDurationMs < settings.rateLimitBlockDurationMs) {
+    errors.push('RATE_LIMIT_MAX_BLOCK_DURATION_MS must be at least RATE_LIMIT_BLOCK_DURATION_MS');
+  }
+
+  if (isNaN(settings.rateLimitPermanentAfter) || settings.rateLimitPermanentAfter < 0) {
+    errors.push('RATE_LIMIT_PERMANENT_AFTER must be 0 (never) or a number of offences');
+  } else if (settings.rateLimitPermanentAfter > 0 && !settings.blocklistPath) {
+    // Without the file, the next blocklist reload would forget the ban
+    errors.push('RATE_LIMIT_PERMANENT_AFTER needs BLOCKLIST_PATH to keep permanent bans');
+  }
+
+  if (isNaN(settings.rateLimitOffenceDecayMs) || settings.rateLimitOffenceDecayMs < 0) {
+    errors.push('RATE_LIMIT_OFFENCE_DECAY_MS must be 0 (never) or a number of milliseconds');
+  }
+
+  if (settings.sshEnabled) {
+    if (settings.sshListenPort < 1 || settings.sshListenPort > 65535) {
       errors.push('SSH_LISTEN_PORT must be between 1 and 65535');
     }
     
-    if (!config.sshHostKey) {
+    if (!settings.sshHostKey) {
       errors.push('SSH_HOST_KEY is required when SSH is enabled');
     }
+    
+    const authModes = ['open', 'password', 'publickey'];
+    const invalidModes = settings.sshAuthModes.filter(m => !authModes.includes(m));
+    if (invalidModes.length > 0 || settings.sshAuthModes.length === 0) {
+      errors.push(`SSH_AUTH_MODE must be a comma-separated list of: ${authModes.join(', ')}`);
+    } else if (settings.sshAuthModes.includes('open') && settings.sshAuthModes.length > 1) {
+      errors.push('SSH_AUTH_MODE=open cannot be combined with other modes');
+    }
+    
+    if (settings.sshAuthModes.includes('password') && !settings.sshCredentialsPath) {
+      errors.push('SSH_CREDENTIALS_PATH is required for SSH_AUTH_MODE=password');
+    }
+    
+    if (settings.sshAuthModes.includes('publickey') && !settings.sshAuthorizedKeysPath) {
+      errors.push('SSH_AUTHORIZED_KEYS_PATH is required for SSH_AUTH_MODE=publickey');
+    }
+    
+    for (const route of settings.sshRoutes) {
+      if (!route.username || !route.host || isNaN(route.port) || route.port < 1 || route.port > 65535) {
+        errors.push(`SSH_ROUTES entry for "${route.username}" must be username=host:port or username=port`);
+      }
+    }
+    
+    if (!['encoding', 'reject'].includes(settings.sshDefaultRoute)) {
+      const target = parseTarget(settings.sshDefaultRoute, settings.backendHost);
+      if (isNaN(target.port) || target.port < 1 || target.port > 65535) {
+        errors.push('SSH_DEFAULT_ROUTE must be "encoding", "reject" or a host:port target');
+      }
+    }
+    
+    if (settings.sftpEnabled && !settings.sftpRoot) {
+      errors.push('SFTP_ROOT is required when SFTP is enabled');
+    }
+    
+    if (isNaN(settings.sftpMaxUploadSize) || settings.sftpMaxUploadSize < 0) {
+      errors.push('SFTP_MAX_UPLOAD_SIZE must be 0 (no limit) or a size in bytes');
+    }
+    
+    if (isNaN(settings.sftpIncomingMaxSize) || settings.sftpIncomingMaxSize < 0) {
+      errors.push('SFTP_INCOMING_MAX_SIZE must be 0 (no limit) or a size in bytes');
+    }
+    
+    if (isNaN(settings.sftpIncomingMaxFiles) || settings.sftpIncomingMaxFiles < 0) {
+      errors.push('SFTP_INCOMING_MAX_FILES must be 0 (no limit) or a number of files');
+    }
   }
   
   if (errors.length > 0) {
@@ -112,8 +650,43 @@ function validateConfig() {
   return true;
 }
 
+/**
+ * Re-reads .env and applies it to the live configuration object, so new
+ * connections pick up the new settings. Settings in RESTART_REQUIRED keep
+ * their current values.
+ * @returns {Object} { changed, restartRequired } (lists of setting names)
+ * @throws {Error} If the new configuration is invalid (nothing is changed)
+ */
+function reloadConfig() {
+  const fileEnv = fs.existsSync(ENV_FILE) ? dotenv.parse(fs.readFileSync(ENV_FILE)) : {};
+  const candidate = buildConfig({ ...fileEnv, ...processEnv });
+  validateConfig(candidate);
+
+  const changed = [];
+  const restartRequired = [];
+  for (const key of Object.keys(candidate)) {
+    if (JSON.stringify(candidate[key]) === JSON.stringify(config[key])) {
+      continue;
+    }
+
+    if (RESTART_REQUIRED.includes(key)) {
+      restartRequired.push(key);
+    } else {
+      config[key] = candidate[key];
+      changed.push(key);
+    }
+  }
+
+  return { changed, restartRequired };
+}
+
 module.exports = {
   config,
   validateConfig,
+  reloadConfig,
+  parseTarget,
+  parseSyslogTarget,
+  SYSLOG_FACILITIES,
+  ENV_FILE,
 };
 
@@ -0,0 +1,398 @@
+/**
+ * Live web dashboard for bbsfw
+ * A read-only page showing current sessions, recent blocks, top callers and
+ * rate-limit activity, kept up to date over Server-Sent Events
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const logger = require('./logger');
+const { parseTarget } = require('./config');
+const { getIPFilter } = require('./ipfilter');
+const { canonicalIP } = require('./ip-ranges');
+const { getSessionRegistry } = require('./sessions');
+const { getWaitingRoom } = require('./waiting-room');
+
+// Blocks and rate-limit bans kept for the "recent" lists
+const RECENT_EVENTS = 50;
+
+// Temporary blocks sent in each snapshot (newest first; a scan can add thousands)
+const SHOWN_TEMPORARY_BLOCKS = 50;
+
+// Entries shown in the top countries / top IPs tables
+const TOP_ENTRIES = 10;
+
+// Caller counters are trimmed back to the busiest entries past this size
+const MAX_TRACKED_CALLERS = 5000;
+
+// Events arriving close together are sent in one update
+const PUSH_DELAY = 250;
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>bbsfw dashboard</title>
+<style>
+  body { background: #000; color: #aaa; font: 14px/1.4 monospace; margin: 1em 2em; }
+  h1 { color: #5ff; font-size: 1.3em; }
+  h2 { color: #ff5; font-size: 1.1em; margin: 1.5em 0 0.3em; }
+  table { border-collapse: collapse; }
+  th, td { padding: 0.1em 1.2em 0.1em 0; text-align: left; }
+  th { color: #fff; border-bottom: 1px solid #555; }
+  td.n { text-align: right; }
+  .grid { display: flex; flex-wrap: wrap; gap: 0 4em; }
+  .muted { color: #555; }
+  #status { color: #5f5; }
+  #status.down { color: #f55; }
+</style>
+</head>
+<body>
+<h1>bbsfw <span id="status">connecting...</span></h1>
+<div id="summary"></div>
+<h2>Sessions</h2>
+<table id="sessions"></table>
+<div class="grid">
+  <div><h2>Rejections by reason</h2><table id="reasons"></table></div>
+  <div><h2>Top countries</h2><table id="countries"></table></div>
+  <div><h2>Top IPs</h2><table id="ips"></table></div>
+</div>
+<h2>Recent blocks</h2>
+<table id="blocks"></table>
+<h2>Rate limiting</h2>
+<div id="ratelimit-summary"></div>
+<div class="grid">
+  <div><h2>Busiest IPs this window</h2><table id="busiest"></table></div>
+  <div><h2>Temporary blocks<span id="tempblocks-count" class="muted"></span></h2><table id="tempblocks"></table></div>
+</div>
+<script>
+  function esc(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+  function duration(ms) {
+    const s = Math.floor(ms / 1000);
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    return (h ? h + 'h ' : '') + (h || m ? m + 'm ' : '') + (s % 60) + 's';
+  }
+  function bytes(n) {
+    if (n < 1024) return n + ' B';
+    if (n < 1048576) return (n / 1024).toFixed(1) + ' KB';
+    return (n / 1048576).toFixed(1) + ' MB';
+  }
+  function time(ts) {
+    return new Date(ts).toLocaleTimeString();
+  }
+  function table(id, headers, rows) {
+    const el = document.getElementById(id);
+    if (rows.length === 0) {
+      el.innerHTML = '<tr><td class="muted">none</td></tr>';
+      return;
+    }
+    el.innerHTML = '<tr>' + headers.map(h => '<th>' + esc(h) + '</th>').join('') + '</tr>' +
+      rows.map(r => '<tr>' + r.map(c => typeof c === 'number'
+        ? '<td class="n">' + c + '</td>'
+        : '<td>' + esc(c) + '</td>').join('') + '</tr>').join('');
+  }
+  function render(d) {
+    const s = d.stats;
+    document.getElementById('summary').textContent =
+      s.active + '/' + s.maxConnections + ' nodes in use (' + s.telnet + ' telnet, ' + s.ssh + ' SSH), ' +
+      d.waitingRoom.queued + ' waiting, up ' + duration(d.uptime * 1000);
+    table('sessions', ['Protocol', 'IP', 'Country', 'User', 'Encoding', 'Duration', 'In', 'Out'],
+      d.sessions.map(x => [x.protocol, x.ip, x.country || '??', x.username || '', x.encoding || '',
+        duration(x.duration), bytes(x.bytesFromClient), bytes(x.bytesFromBackend)]));
+    table('reasons', ['Reason', 'Count'], Object.entries(d.rejectsByReason).map(([k, v]) => [k, v]));
+    table('countries', ['Country', 'Callers'], d.topCountries.map(x => [x.country, x.count]));
+    table('ips', ['IP', 'Callers'], d.topIPs.map(x => [x.ip, x.count]));
+    table('blocks', ['Time', 'Protocol', 'IP', 'Country', 'Reason'],
+      d.recentBlocks.map(x => [time(x.at), x.protocol, x.ip || 'unknown', x.country || '??', x.reason]));
+    const r = d.rateLimit;
+    document.getElementById('ratelimit-summary').textContent = r.enabled
+      ? r.maxConnectionsPerWindow + ' connections per ' + duration(r.windowMs) + ' allowed; ' +
+        r.trackedIPs + ' IPs tracked, ' + r.recentBans.length + ' recent bans'
+      : 'Rate limiting is disabled';
+    table('busiest', ['IP', 'Attempts'], r.busiest.map(x => [x.ip, x.attempts]));
+    document.getElementById('tempblocks-count').textContent = r.temporaryBlockCount > r.temporaryBlocks.length
+      ? ' (newest ' + r.temporaryBlocks.length + ' of ' + r.temporaryBlockCount + ')'
+      : '';
+    table('tempblocks', ['IP', 'Until', 'Level', 'Reason'],
+      r.temporaryBlocks.map(x => [x.ip, time(x.blockedUntil), x.level || '', x.reason]));
+  }
+  const status = document.getElementById('status');
+  const events = new EventSource('events');
+  events.addEventListener('snapshot', (e) => {
+    status.textContent = 'live';
+    status.className = '';
+    render(JSON.parse(e.data));
+  });
+  events.onerror = () => {
+    status.textContent = 'disconnected, retrying...';
+    status.className = 'down';
+  };
+</script>
+</body>
+</html>
+`;
+
+/**
+ * Increments a counter in a Map
+ */
+function count(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+/**
+ * Returns the highest counters in a Map, busiest first
+ */
+function topEntries(map, limit) {
+  return Array.from(map.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+}
+
+class Dashboard {
+  constructor(config) {
+    this.config = config;
+    this.server = null;
+    this.clients = new Set(); // Open SSE responses
+    this.startedAt = Date.now();
+    this.rejectsByReason = {};
+    this.recentBlocks = []; // Newest first
+    this.recentRateLimitBans = []; // Newest first
+    this.callersByCountry = new Map(); // country code -> connections
+    this.callersByIP = new Map(); // IP -> connections
+    this.pushTimer = null;
+    this.updateInterval = null;
+  }
+
+  start() {
+    const registry = getSessionRegistry();
+    registry.on('session-start', (session) => {
+      this.recordCaller(session.ip, session.country);
+      this.schedulePush();
+    });
+    registry.on('session-end', () => this.schedulePush());
+    registry.on('session-rejected', (rejection) => {
+      this.recordCaller(rejection.ip, rejection.country);
+      this.rejectsByReason[rejection.code] = (this.rejectsByReason[rejection.code] || 0) + 1;
+      this.recentBlocks.unshift({ ...rejection, ip: rejection.ip && (canonicalIP(rejection.ip) || rejection.ip) });
+      this.recentBlocks.length = Math.min(this.recentBlocks.length, RECENT_EVENTS);
+      this.schedulePush();
+    });
+
+    const ipFilter = getIPFilter();
+    ipFilter.on('ip-blocked', (block) => {
+      if (block.code === 'ratelimit') {
+        this.recentRateLimitBans.unshift({ ...block, at: Date.now() });
+        this.recentRateLimitBans.length = Math.min(this.recentRateLimitBans.length, RECENT_EVENTS);
+      }
+      this.schedulePush();
+    });
+    ipFilter.on('ip-unblocked', () => this.schedulePush());
+
+    // Durations and byte counts change continuously, so also push on a timer
+    this.updateInterval = setInterval(() => {
+      if (this.clients.size > 0) {
+        this.push();
+      }
+    }, this.config.dashboardUpdateInterval);
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+
+    this.server.on('error', (err) => {
+      logger.error('Dashboard error:', err.message);
+    });
+
+    const { host, port } = parseTarget(this.config.dashboardListen, '127.0.0.1');
+    if (!['127.0.0.1', '::1', 'localhost'].includes(host) && !this.config.dashboardPassword) {
+      logger.warn(`Dashboard is listening on ${host} without DASHBOARD_PASSWORD`);
+    }
+    this.server.listen(port, host, () => {
+      logger.info(`Dashboard listening on http://${host.includes(':') ? `[${host}]` : host}:${port}/`);
+    });
+
+    return this;
+  }
+
+  recordCaller(ip, country) {
+    if (ip) {
+      count(this.callersByIP, canonicalIP(ip) || ip);
+    }
+    count(this.callersByCountry, country || '??');
+
+    // Keep memory bounded when many distinct IPs call
+    if (this.callersByIP.size > MAX_TRACKED_CALLERS) {
+      this.callersByIP = new Map(topEntries(this.callersByIP, MAX_TRACKED_CALLERS / 5));
+    }
+  }
+
+  /**
+   * Checks HTTP basic auth against DASHBOARD_PASSWORD (any username)
+   */
+  isAuthorized(req) {
+    if (!this.config.dashboardPassword) {
+      return true;
+    }
+
+    const match = /^Basic\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+      return false;
+    }
+
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+    const password = credentials.substring(credentials.indexOf(':') + 1);
+    const given = crypto.createHash('sha256').update(password).digest();
+    const expected = crypto.createHash('sha256').update(this.config.dashboardPassword).digest();
+    return crypto.timingSafeEqual(given, expected);
+  }
+
+  handleRequest(req, res) {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Invalid URL\n');
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="bbsfw"', 'Content-Type': 'text/plain' });
+      res.end('Authentication required\n');
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      res.writeHead(405, { 'Allow': 'GET', 'Content-Type': 'text/plain' });
+      res.end('Method not allowed\n');
+      return;
+    }
+
+    if (pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(PAGE);
+    } else if (pathname === '/events') {
+      this.addClient(req, res);
+    } else if (pathname === '/snapshot.json') {
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(this.snapshot(), null, 2));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+    }
+  }
+
+  /**
+   * Opens an SSE stream and sends the current state straight away
+   */
+  addClient(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+    res.write('retry: 5000\n\n');
+
+    this.clients.add(res);
+    logger.debug(`Dashboard client connected (${this.clients.size} open)`);
+    req.on('close', () => {
+      this.clients.delete(res);
+      logger.debug(`Dashboard client disconnected (${this.clients.size} open)`);
+    });
+
+    this.send(res, this.snapshot());
+  }
+
+  schedulePush() {
+    if (this.pushTimer || this.clients.size === 0) {
+      return;
+    }
+    this.pushTimer = setTimeout(() => {
+      this.pushTimer = null;
+      this.push();
+    }, PUSH_DELAY);
+  }
+
+  push() {
+    const snapshot = this.snapshot();
+    for (const res of this.clients) {
+      this.send(res, snapshot);
+    }
+  }
+
+  send(res, snapshot) {
+    res.write(`event: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
+  }
+
+  snapshot() {
+    const now = Date.now();
+    const registry = getSessionRegistry();
+    const ipFilter = getIPFilter();
+    const temporaryBlocks = ipFilter.getTemporaryBlocks();
+
+    return {
+      uptime: Math.round((now - this.startedAt) / 1000),
+      stats: registry.getStats(),
+      waitingRoom: getWaitingRoom().getStats(),
+      sessions: registry.list().map((session) => ({
+        id: session.id,
+        protocol: session.protocol,
+        ip: canonicalIP(session.ip) || session.ip,
+        country: session.country,
+        username: session.username,
+        encoding: session.encoding,
+        duration: now - session.startedAt,
+        bytesFromClient: session.bytesFromClient,
+        bytesFromBackend: session.bytesFromBackend,
+      })),
+      rejectsByReason: this.rejectsByReason,
+      recentBlocks: this.recentBlocks,
+      topCountries: topEntries(this.callersByCountry, TOP_ENTRIES).map(([country, total]) => ({ country, count: total })),
+      topIPs: topEntries(this.callersByIP, TOP_ENTRIES).map(([ip, total]) => ({ ip, count: total })),
+      rateLimit: {
+        enabled: this.config.rateLimitEnabled,
+        maxConnectionsPerWindow: this.config.maxConnectionsPerWindow,
+        windowMs: this.config.rateLimitWindowMs,
+        trackedIPs: ipFilter.connectionAttempts.size,
+        busiest: ipFilter.getRateLimitActivity(TOP_ENTRIES),
+        temporaryBlocks: temporaryBlocks
+          .sort((a, b) => b.blockedAt - a.blockedAt)
+          .slice(0, SHOWN_TEMPORARY_BLOCKS),
+        temporaryBlockCount: temporaryBlocks.length,
+        recentBans: this.recentRateLimitBans,
+      },
+    };
+  }
+
+  /**
+   * Ends open SSE streams and stops the HTTP server
+   */
+  close(callback) {
+    clearInterval(this.updateInterval);
+    clearTimeout(this.pushTimer);
+    for (const res of this.clients) {
+      res.end();
+    }
+    this.server.close(callback);
+  }
+}
+
+/**
+ * Starts the dashboard if enabled
+ * @returns {Dashboard|null} Dashboard instance or null if disabled
+ */
+function startDashboard(config) {
+  if (!config.dashboardEnabled) {
+    return null;
+  }
+
+  return new Dashboard(config).start();
+}
+
+module.exports = {
+  startDashboard,
+};
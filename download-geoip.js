@@ -2,6 +2,7 @@
 
 /**
  * Helper script to download MaxMind GeoLite2 Country database
+ * (or the GeoLite2-ASN database with: node download-geoip.js asn)
  * 
  * Note: MaxMind now requires an account and license key.
  * This script provides instructions for manual download.
@@ -12,10 +13,11 @@ const path = require('path');
 const https = require('https');
 const { execSync } = require('child_process');
 
+const EDITION = process.argv[2] === 'asn' ? 'GeoLite2-ASN' : 'GeoLite2-Country';
 const DATA_DIR = path.join(__dirname, 'data');
-const DB_PATH = path.join(DATA_DIR, 'GeoLite2-Country.mmdb');
+const DB_PATH = path.join(DATA_DIR, `${EDITION}.mmdb`);
 
-console.log('=== GeoLite2 Country Database Setup ===\n');
+console.log(`=== ${EDITION.replace('-', ' ')} Database Setup ===\n`);
 
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
@@ -41,21 +43,21 @@ if (fs.existsSync(DB_PATH)) {
 console.log('GeoLite2 databases are free but require registration.\n');
 console.log('Option 1: Download manually (Recommended)');
 console.log('  1. Sign up at: https://dev.maxmind.com/geoip/geolite2-free-geolocation-data');
-console.log('  2. Download GeoLite2 Country database (MMDB format)');
-console.log('  3. Extract GeoLite2-Country.mmdb to:');
+console.log(`  2. Download ${EDITION.replace('-', ' ')} database (MMDB format)`);
+console.log(`  3. Extract ${EDITION}.mmdb to:`);
 console.log(`     ${DB_PATH}\n`);
 
 console.log('Option 2: Use license key (if you have one)');
 console.log('  Set MAXMIND_LICENSE_KEY environment variable and run:');
-console.log('  MAXMIND_LICENSE_KEY=your_key node download-geoip.js\n');
+console.log(`  MAXMIND_LICENSE_KEY=your_key node download-geoip.js${EDITION === 'GeoLite2-ASN' ? ' asn' : ''}\n`);
 
 const licenseKey = process.env.MAXMIND_LICENSE_KEY;
 
 if (licenseKey) {
   console.log('License key detected, attempting download...\n');
   
-  const url = `https://download.maxmind.com/app/geoip_download?edition_id=GeoLite2-Country&license_key=${licenseKey}&suffix=tar.gz`;
-  const tarPath = path.join(DATA_DIR, 'GeoLite2-Country.tar.gz');
+  const url = `https://download.maxmind.com/app/geoip_download?edition_id=${EDITION}&license_key=${licenseKey}&suffix=tar.gz`;
+  const tarPath = path.join(DATA_DIR, `${EDITION}.tar.gz`);
   
   console.log('Downloading database...');
   
@@ -83,10 +85,10 @@ if (licenseKey) {
           
           // Find the .mmdb file in extracted directory
           const files = fs.readdirSync(DATA_DIR);
-          const extractedDir = files.find(f => f.startsWith('GeoLite2-Country_'));
+          const extractedDir = files.find(f => f.startsWith(`${EDITION}_`));
           
           if (extractedDir) {
-            const mmdbSource = path.join(DATA_DIR, extractedDir, 'GeoLite2-Country.mmdb');
+            const mmdbSource = path.join(DATA_DIR, extractedDir, `${EDITION}.mmdb`);
             if (fs.existsSync(mmdbSource)) {
               fs.renameSync(mmdbSource, DB_PATH);
               
@@ -104,7 +106,7 @@ if (licenseKey) {
           process.exit(1);
         } catch (err) {
           console.error('✗ Extraction failed:', err.message);
-          console.error('  Please extract manually and place GeoLite2-Country.mmdb in:');
+          console.error(`  Please extract manually and place ${EDITION}.mmdb in:`);
           console.error(`  ${DB_PATH}`);
           process.exit(1);
         }
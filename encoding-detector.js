@@ -95,13 +95,70 @@ function detectFromTerminalType(termType) {
 }
 
 /**
- * Detect encoding from Telnet negotiation data
- * This checks for any telnet options that might indicate encoding
- * @param {string} termType - Terminal type from TERM negotiation
+ * Detect encoding from a negotiated character set name
+ * @param {string} charset - Charset name (e.g., 'UTF-8', 'IBM437')
+ * @returns {string|null} 'utf8', 'cp437' or null if unrecognised
+ */
+function detectFromCharset(charset) {
+  if (!charset || typeof charset !== 'string') {
+    return null;
+  }
+
+  const name = charset.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+  if (name === 'UTF8') {
+    return 'utf8';
+  }
+
+  if (name === 'CP437' || name === 'IBM437' || name === 'IBMPC' || name === 'PC8') {
+    return 'cp437';
+  }
+
+  return null;
+}
+
+/**
+ * Detect encoding from Telnet negotiation results
+ * Checks, in order: the CHARSET option, NEW-ENVIRON locale variables,
+ * the MTTS capability flags and finally the preferred terminal type
+ * @param {Object} negotiation - { charset, environment, terminalTypes }
  * @returns {string} 'utf8' or 'cp437'
  */
-function detectFromTelnetNegotiation(termType) {
-  return detectFromTerminalType(termType);
+function detectFromTelnetNegotiation(negotiation) {
+  if (!negotiation) {
+    return 'cp437';
+  }
+
+  // CHARSET option (RFC 2066) is the most explicit answer a client can give
+  const charsetDetected = detectFromCharset(negotiation.charset);
+  if (charsetDetected) {
+    logger.debug(`Detected ${charsetDetected} from telnet CHARSET: ${negotiation.charset}`);
+    return charsetDetected;
+  }
+
+  // NEW-ENVIRON locale variables use the same rules as SSH
+  const env = negotiation.environment || {};
+  const envCharset = detectFromCharset(env.CHARSET);
+  if (envCharset) {
+    logger.debug(`Detected ${envCharset} from telnet CHARSET variable: ${env.CHARSET}`);
+    return envCharset;
+  }
+  if (detectFromSSHEnvironment(env) === 'utf8') {
+    return 'utf8';
+  }
+
+  const terminalTypes = negotiation.terminalTypes || [];
+
+  // Mud Terminal Type Standard: "MTTS <flags>", bit 4 means UTF-8
+  const mtts = terminalTypes.find((type) => /^MTTS \d+$/i.test(type));
+  if (mtts) {
+    const flags = parseInt(mtts.split(' ')[1], 10);
+    const detected = (flags & 4) ? 'utf8' : 'cp437';
+    logger.debug(`Detected ${detected} from ${mtts}`);
+    return detected;
+  }
+
+  return detectFromTerminalType(terminalTypes[0]);
 }
 
 /**
@@ -128,6 +185,7 @@ function getBackendPortForEncoding(encoding, config) {
 module.exports = {
   detectFromSSHEnvironment,
   detectFromTerminalType,
+  detectFromCharset,
   detectFromTelnetNegotiation,
   getBackendPortForEncoding,
 };
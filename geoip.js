@@ -1,5 +1,7 @@
 /**
- * GeoIP lookup functionality using MaxMind GeoLite2 database
+ * GeoIP lookup functionality using MaxMind GeoLite2 databases
+ * GeoLite2-Country is used for country blocking; GeoLite2-ASN (optional)
+ * adds the caller's network for ASN blocking.
  */
 
 const fs = require('fs');
@@ -12,9 +14,13 @@ class GeoIPLookup {
     this.reader = null;
     this.dbPath = path.join(__dirname, 'data', 'GeoLite2-Country.mmdb');
     this.isEnabled = false;
+    this.asnReader = null;
+    this.asnPath = path.join(__dirname, 'data', 'GeoLite2-ASN.mmdb');
   }
 
-  async initialize() {
+  async initialize(config) {
+    await this.initializeASN(config);
+
     try {
       if (!fs.existsSync(this.dbPath)) {
         logger.warn('GeoIP database not found. Country blocking disabled.');
@@ -34,6 +40,61 @@ class GeoIPLookup {
     }
   }
 
+  /**
+   * Opens the ASN database, if there is one
+   */
+  async initializeASN(config) {
+    const hasRules = config && (config.blockedASNs.length > 0 || config.blockedASNOrgs.length > 0);
+    try {
+      if (!fs.existsSync(this.asnPath)) {
+        if (hasRules) {
+          logger.warn('GeoIP ASN database not found. ASN blocking disabled.');
+          logger.warn('Run "npm run setup-geoip-asn" to download the database.');
+        }
+        return false;
+      }
+
+      this.asnReader = await maxmind.open(this.asnPath);
+      logger.info('GeoIP ASN database loaded successfully');
+      return true;
+    } catch (err) {
+      logger.error('Failed to load GeoIP ASN database:', err.message);
+      this.asnReader = null;
+      return false;
+    }
+  }
+
+  get isASNEnabled() {
+    return this.asnReader !== null;
+  }
+
+  /**
+   * Looks up the network (autonomous system) an address belongs to
+   * @returns {Object|null} { asn, organization }, or null if unknown
+   */
+  lookupASN(ipAddress) {
+    if (!this.asnReader) {
+      return null;
+    }
+
+    try {
+      const cleanIp = ipAddress.replace(/^::ffff:/i, '');
+      const result = this.asnReader.get(cleanIp);
+
+      if (result && result.autonomous_system_number) {
+        return {
+          asn: result.autonomous_system_number,
+          organization: result.autonomous_system_organization || null,
+        };
+      }
+
+      return null;
+    } catch (err) {
+      logger.debug(`GeoIP ASN lookup failed for ${ipAddress}: ${err.message}`);
+      return null;
+    }
+  }
+
   lookup(ipAddress) {
     if (!this.isEnabled || !this.reader) {
       return null;
@@ -84,15 +145,29 @@ class GeoIPLookup {
   getCountryInfo(ipAddress) {
     return this.lookup(ipAddress);
   }
+
+  getStats() {
+    const metadata = this.reader ? this.reader.metadata : null;
+    const asnMetadata = this.asnReader ? this.asnReader.metadata : null;
+    return {
+      enabled: this.isEnabled,
+      databasePath: this.dbPath,
+      databaseType: metadata ? metadata.databaseType : null,
+      databaseBuilt: metadata ? metadata.buildEpoch : null,
+      asnEnabled: this.isASNEnabled,
+      asnDatabasePath: this.asnPath,
+      asnDatabaseBuilt: asnMetadata ? asnMetadata.buildEpoch : null,
+    };
+  }
 }
 
 // Singleton instance
 let geoipInstance = null;
 
-async function initializeGeoIP() {
+async function initializeGeoIP(config) {
   if (!geoipInstance) {
     geoipInstance = new GeoIPLookup();
-    await geoipInstance.initialize();
+    await geoipInstance.initialize(config);
   }
   return geoipInstance;
 }
@@ -101,9 +176,17 @@ function getGeoIP() {
   return geoipInstance;
 }
 
+/**
+ * Formats a network for logs and reasons, e.g. "AS14061 DigitalOcean, LLC"
+ */
+function formatASN(asn, organization) {
+  return organization ? `AS${asn} ${organization}` : `AS${asn}`;
+}
+
 module.exports = {
   initializeGeoIP,
   getGeoIP,
+  formatASN,
 };
 
 
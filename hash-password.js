@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Helper script to create entries for the SSH credentials file
+ *
+ * Usage: node hash-password.js <username>
+ * Prints a "username:hash" line to add to SSH_CREDENTIALS_PATH.
+ */
+
+// Keep stdout clean so the output can be appended straight to the file
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+const readline = require('readline');
+const { hashPassword } = require('./ssh-auth');
+
+const username = process.argv[2];
+
+if (!username || username.includes(':')) {
+  console.error('Usage: node hash-password.js <username>');
+  console.error('  (usernames may not contain ":")');
+  process.exit(1);
+}
+
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stderr,
+});
+
+// Show the prompt, but not the password as it's typed (it would stay in
+// the terminal's scrollback)
+let muted = false;
+rl._writeToOutput = (text) => {
+  if (!muted) {
+    process.stderr.write(text);
+  }
+};
+
+rl.question(`Password for ${username}: `, (password) => {
+  rl.close();
+  process.stderr.write('\n');
+
+  if (!password) {
+    console.error('✗ Password may not be empty');
+    process.exit(1);
+  }
+
+  console.log(`${username}:${hashPassword(password)}`);
+});
+muted = true;
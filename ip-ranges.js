@@ -0,0 +1,344 @@
+/**
+ * IP address parsing and fast range lookups
+ * Handles IPv4 and IPv6 (including IPv4-mapped IPv6) addresses and CIDR
+ * ranges, and the sorted range lists the IP filter matches callers against
+ */
+
+const net = require('net');
+
+/**
+ * Expands a valid IPv6 address to its 8 groups
+ * A trailing dotted IPv4 part (e.g. "64:ff9b::192.0.2.1") is converted to two groups.
+ */
+function expandIPv6(ip) {
+  let address = ip;
+  const dotted = address.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(Number);
+    address = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const halves = address.split('::');
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  return [...head, ...Array(missing).fill('0'), ...tail].map(group => parseInt(group, 16));
+}
+
+/**
+ * Parses an IP address
+ * IPv4-mapped IPv6 addresses (::ffff:192.0.2.1) are treated as IPv4, and
+ * IPv6 zone IDs (fe80::1%eth0) are ignored.
+ * @returns {Object|null} { version: 4 or 6, value: BigInt }, or null if invalid
+ */
+function parseIP(ip) {
+  if (typeof ip !== 'string') return null;
+
+  const address = ip.trim().replace(/%.*$/, '');
+  const version = net.isIP(address);
+  if (version === 4) {
+    const value = address.split('.').reduce((acc, part) => (acc << 8n) + BigInt(parseInt(part, 10)), 0n);
+    return { version: 4, value };
+  }
+  if (version !== 6) return null;
+
+  const value = expandIPv6(address).reduce((acc, group) => (acc << 16n) + BigInt(group), 0n);
+  if (value >> 32n === 0xffffn) {
+    return { version: 4, value: value & 0xffffffffn };
+  }
+  return { version: 6, value };
+}
+
+/**
+ * Formats a parsed address: dotted IPv4, or compressed lowercase IPv6 (RFC 5952)
+ */
+function formatIP({ version, value }) {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => Number((value >> shift) & 0xffn)).join('.');
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  // Compress the longest run of two or more zero groups (the first, on a tie)
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === 0) length++;
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) {
+    return hex.join(':');
+  }
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Bit mask for a prefix length
+ */
+function prefixMask(prefix, maxBits) {
+  const all = (1n << BigInt(maxBits)) - 1n;
+  return all ^ ((1n << BigInt(maxBits - prefix)) - 1n);
+}
+
+/**
+ * Parses an IP address or CIDR range (a single IP is a /32 or /128)
+ * IPv4-mapped ranges (::ffff:10.0.0.0/104) are converted to IPv4 (10.0.0.0/8).
+ * @returns {Object|null} { version, network: BigInt, prefix, mask: BigInt }, or null if invalid
+ */
+function parseCIDR(entry) {
+  if (typeof entry !== 'string') return null;
+
+  const [address, bits, extra] = entry.trim().split('/');
+  const ip = parseIP(address);
+  if (!ip || extra !== undefined) return null;
+
+  const maxBits = ip.version === 4 ? 32 : 128;
+  let prefix = maxBits;
+  if (bits !== undefined) {
+    if (!/^\d+$/.test(bits)) return null;
+    prefix = parseInt(bits, 10);
+
+    // Written as IPv6 but parsed as IPv4: the prefix counts the ::ffff: part too
+    if (ip.version === 4 && net.isIP(address.trim()) === 6) {
+      if (prefix < 96 || prefix > 128) return null;
+      prefix -= 96;
+    } else if (prefix > maxBits) {
+      return null;
+    }
+  }
+
+  const mask = prefixMask(prefix, maxBits);
+  return { version: ip.version, network: ip.value & mask, prefix, mask };
+}
+
+/**
+ * Parses an address range ("10.0.0.0-10.0.3.255") into the fewest CIDR
+ * ranges covering it
+ * @returns {Array<Object>|null} Ranges as returned by parseCIDR(), or null if invalid
+ */
+function parseIPRange(value) {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.split('-');
+  if (parts.length !== 2) return null;
+  const first = parseIP(parts[0]);
+  const last = parseIP(parts[1]);
+  if (!first || !last || first.version !== last.version || first.value > last.value) return null;
+
+  const maxBits = first.version === 4 ? 32 : 128;
+  const ranges = [];
+  let start = first.value;
+  while (start <= last.value) {
+    // Grow the block while it stays aligned on start and within the range
+    let hostBits = 0;
+    while (hostBits < maxBits) {
+      const size = 1n << BigInt(hostBits + 1);
+      if (start % size !== 0n || start + size - 1n > last.value) break;
+      hostBits++;
+    }
+
+    const prefix = maxBits - hostBits;
+    ranges.push({ version: first.version, network: start, prefix, mask: prefixMask(prefix, maxBits) });
+    start += 1n << BigInt(hostBits);
+  }
+  return ranges;
+}
+
+/**
+ * Returns the canonical form of an IP address, e.g. "2001:db8::1" for
+ * "2001:0DB8:0:0::1" and "192.0.2.1" for "::ffff:192.0.2.1"
+ * @returns {string|null} Canonical address, or null if invalid
+ */
+function canonicalIP(ip) {
+  const address = parseIP(ip);
+  return address ? formatIP(address) : null;
+}
+
+/**
+ * Returns the canonical form of a list entry (IP or CIDR range); ranges
+ * are reduced to their network address and full-length prefixes dropped
+ * @returns {string|null} Canonical entry, or null if invalid
+ */
+function canonicalEntry(entry) {
+  const range = parseCIDR(entry);
+  return range ? formatRange(range) : null;
+}
+
+/**
+ * Formats a parsed range as a canonical entry (see canonicalEntry())
+ */
+function formatRange(range) {
+  const network = formatIP({ version: range.version, value: range.network });
+  return range.prefix === (range.version === 4 ? 32 : 128) ? network : `${network}/${range.prefix}`;
+}
+
+/**
+ * Returns the subnet an IP belongs to, e.g. "203.0.113.0/24"
+ * @param {string} ip - IPv4 or IPv6 address (IPv4-mapped IPv6 is treated as IPv4)
+ * @param {number} prefixV4 - IPv4 prefix length
+ * @param {number} prefixV6 - IPv6 prefix length
+ * @returns {string} Subnet in CIDR notation, or the IP itself if it can't be parsed
+ */
+function subnetOf(ip, prefixV4, prefixV6) {
+  const address = parseIP(ip);
+  if (!address) return ip;
+
+  const prefix = address.version === 4 ? prefixV4 : prefixV6;
+  const mask = prefixMask(prefix, address.version === 4 ? 32 : 128);
+  return `${formatIP({ version: address.version, value: address.value & mask })}/${prefix}`;
+}
+
+/**
+ * A list of IP addresses and CIDR ranges with fast lookups
+ * Used like a Set of canonical entries (see canonicalEntry()). For lookups,
+ * the entries are compiled into sorted, non-overlapping range arrays per IP
+ * version, so find() is a binary search however long the list is. The
+ * arrays are rebuilt on the first lookup after a change.
+ */
+class IPRangeList {
+  constructor() {
+    this.entries = new Map(); // canonical entry -> parsed range
+    this.index = null; // { 4: table, 6: table }, null when out of date
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(entry) {
+    return this.entries.has(entry);
+  }
+
+  /**
+   * Adds a canonical entry
+   * @param {string} entry - Canonical entry
+   * @param {Object} range - The entry already parsed (saves parsing it again)
+   * @returns {boolean} False if the entry was already listed or is invalid
+   */
+  add(entry, range = parseCIDR(entry)) {
+    if (!range || this.entries.has(entry)) {
+      return false;
+    }
+
+    this.entries.set(entry, range);
+    this.index = null;
+    return true;
+  }
+
+  delete(entry) {
+    if (!this.entries.delete(entry)) {
+      return false;
+    }
+
+    this.index = null;
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.index = null;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries.keys();
+  }
+
+  /**
+   * Finds the entry covering an address
+   * @param {Object} address - Parsed address (see parseIP())
+   * @returns {string|null} The matching entry (the widest, if several match)
+   */
+  find(address) {
+    if (!this.index) {
+      this.rebuild();
+    }
+
+    const table = this.index[address.version];
+    const value = address.version === 4 ? Number(address.value) : address.value;
+
+    // Last range starting at or below the address
+    let low = 0;
+    let high = table.starts.length - 1;
+    let match = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (table.starts[mid] <= value) {
+        match = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return match !== -1 && value <= table.ends[match] ? table.entries[match] : null;
+  }
+
+  /**
+   * Compiles the entries into the lookup tables
+   * CIDR ranges are either disjoint or nested, so a range that starts inside
+   * the previous one is covered by it and can be left out.
+   * @returns {Array<Object>} Entries covered by wider ones: [{ entry, within }]
+   */
+  rebuild() {
+    const overlaps = [];
+    this.index = {};
+
+    for (const version of [4, 6]) {
+      const maxBits = version === 4 ? 32 : 128;
+      const ranges = [];
+      for (const [entry, range] of this.entries) {
+        if (range.version === version) {
+          const hostBits = (1n << BigInt(maxBits - range.prefix)) - 1n;
+          ranges.push({ entry, start: range.network, end: range.network | hostBits });
+        }
+      }
+
+      // By start address, widest range first
+      ranges.sort((a, b) => {
+        if (a.start !== b.start) return a.start < b.start ? -1 : 1;
+        if (a.end !== b.end) return a.end > b.end ? -1 : 1;
+        return 0;
+      });
+
+      const table = { starts: [], ends: [], entries: [] };
+      let last = null;
+      for (const range of ranges) {
+        if (last && range.start <= last.end) {
+          overlaps.push({ entry: range.entry, within: last.entry });
+          continue;
+        }
+
+        // IPv4 fits in a Number, which compares much faster than BigInt
+        table.starts.push(version === 4 ? Number(range.start) : range.start);
+        table.ends.push(version === 4 ? Number(range.end) : range.end);
+        table.entries.push(range.entry);
+        last = range;
+      }
+
+      this.index[version] = table;
+    }
+
+    return overlaps;
+  }
+}
+
+module.exports = {
+  IPRangeList,
+  parseIP,
+  parseCIDR,
+  parseIPRange,
+  formatIP,
+  canonicalIP,
+  canonicalEntry,
+  formatRange,
+  subnetOf,
+};
@@ -2,50 +2,82 @@
  * IP filtering and rate limiting
  */
 
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const { IPRangeList, parseIP, parseCIDR, canonicalEntry, canonicalIP, formatRange } = require('./ip-ranges');
+
+// Bumped if the state file layout changes incompatibly
+const STATE_VERSION = 1;
+
+// Delay before saving the state file after a change, so a burst of bans
+// is written once
+const STATE_SAVE_DELAY = 1000;
+
+/**
+ * Returns true if an entry is a valid IP address or CIDR range
+ */
+function isValidIPEntry(entry) {
+  return parseCIDR(entry) !== null;
+}
+
+/**
+ * Appends an entry to a list file (creating it if needed)
+ */
+function appendListEntry(filePath, entry) {
+  const fullPath = path.resolve(filePath);
+  const content = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf-8') : '';
+  const separator = content && !content.endsWith('\n') ? '\n' : '';
+  fs.appendFileSync(fullPath, `${separator}${entry}\n`);
+}
 
 /**
- * Converts an IP address to a 32-bit integer (for IPv4)
+ * Writes a file atomically: the data goes to a temporary file that is
+ * flushed to disk and then renamed over the target, so a crash leaves
+ * either the old file or the new one, never a partial write
  */
-function ipToInt(ip) {
-  const parts = ip.split('.');
-  if (parts.length !== 4) return null;
-  return parts.reduce((acc, part) => (acc << 8) + parseInt(part, 10), 0) >>> 0;
+function writeFileAtomic(filePath, data) {
+  const fullPath = path.resolve(filePath);
+  const tempPath = `${fullPath}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+
+  const fd = fs.openSync(tempPath, 'w', 0o600);
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, fullPath);
 }
 
 /**
- * Checks if an IP address matches a CIDR range
+ * Removes an entry from a list file, keeping comments and other entries
+ * Lines are compared in canonical form, so "2001:DB8::/32" removes "2001:db8::/32".
  */
-function ipMatchesCIDR(ip, cidr) {
-  const [range, bits] = cidr.split('/');
-  
-  // If no CIDR notation, do exact match
-  if (!bits) {
-    return ip === cidr;
-  }
-  
-  const ipInt = ipToInt(ip);
-  const rangeInt = ipToInt(range);
-  
-  if (ipInt === null || rangeInt === null) {
-    // Not a valid IPv4 address, fall back to exact match
-    return ip === cidr;
-  }
-  
-  const mask = (~0 << (32 - parseInt(bits, 10))) >>> 0;
-  return (ipInt & mask) === (rangeInt & mask);
+function removeListEntry(filePath, entry) {
+  const fullPath = path.resolve(filePath);
+  if (!fs.existsSync(fullPath)) {
+    return;
+  }
+
+  const lines = fs.readFileSync(fullPath, 'utf-8').split('\n');
+  fs.writeFileSync(fullPath, lines.filter(line => canonicalEntry(line.replace(/#.*$/, '').trim()) !== entry).join('\n'));
 }
 
-class IPFilter {
+class IPFilter extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
-    this.blocklist = new Set();
-    this.whitelist = new Set();
+    this.blocklist = new IPRangeList();
+    this.whitelist = new IPRangeList();
+    this.feeds = new Map(); // feed name -> IPRangeList (see threat-feeds.js)
     this.connectionAttempts = new Map(); // IP -> [{timestamp}]
     this.blockedIPs = new Map(); // IP -> {blockedUntil, reason}
+    this.offences = new Map(); // IP -> {level, quietSince} for rate-limit offenders
     this.cleanupInterval = null;
+    this.saveTimer = null;
   }
 
   initialize() {
@@ -59,6 +91,11 @@ class IPFilter {
       this.loadBlocklist(this.config.blocklistPath);
     }
 
+    // Restore temporary blocks (and rate-limit history) from the last run
+    if (this.config.statePath) {
+      this.loadState(this.config.statePath);
+    }
+
     // Start cleanup interval to remove old connection attempts
     this.cleanupInterval = setInterval(() => {
       this.cleanupOldAttempts();
@@ -85,20 +122,30 @@ class IPFilter {
       const content = fs.readFileSync(fullPath, 'utf-8');
       const lines = content.split('\n');
       let count = 0;
+      let duplicates = 0;
 
       for (const line of lines) {
-        const trimmed = line.trim();
-        // Skip empty lines and comments
-        if (!trimmed || trimmed.startsWith('#')) {
+        // Skip empty lines and comments (whole-line or after an entry)
+        const trimmed = line.replace(/#.*$/, '').trim();
+        if (!trimmed) {
           continue;
         }
 
-        // Support CIDR notation or single IPs
-        this.whitelist.add(trimmed);
+        // Support CIDR notation or single IPs (stored in canonical form)
+        const range = parseCIDR(trimmed);
+        if (!range) {
+          logger.warn(`Skipping invalid whitelist entry: ${trimmed}`);
+          continue;
+        }
+        if (!this.whitelist.add(formatRange(range), range)) {
+          duplicates++;
+          continue;
+        }
         count++;
       }
 
       logger.info(`Loaded ${count} entries from whitelist: ${fullPath}`);
+      this.compileList(this.whitelist, duplicates, 'whitelist');
     } catch (err) {
       logger.error(`Failed to load whitelist: ${err.message}`);
     }
@@ -116,25 +163,182 @@ class IPFilter {
       const content = fs.readFileSync(fullPath, 'utf-8');
       const lines = content.split('\n');
       let count = 0;
+      let duplicates = 0;
 
       for (const line of lines) {
-        const trimmed = line.trim();
-        // Skip empty lines and comments
-        if (!trimmed || trimmed.startsWith('#')) {
+        // Skip empty lines and comments (whole-line or after an entry)
+        const trimmed = line.replace(/#.*$/, '').trim();
+        if (!trimmed) {
           continue;
         }
 
-        // Support CIDR notation or single IPs
-        this.blocklist.add(trimmed);
+        // Support CIDR notation or single IPs (stored in canonical form)
+        const range = parseCIDR(trimmed);
+        if (!range) {
+          logger.warn(`Skipping invalid blocklist entry: ${trimmed}`);
+          continue;
+        }
+        if (!this.blocklist.add(formatRange(range), range)) {
+          duplicates++;
+          continue;
+        }
         count++;
       }
 
       logger.info(`Loaded ${count} IPs from blocklist: ${fullPath}`);
+      this.compileList(this.blocklist, duplicates, 'blocklist');
     } catch (err) {
       logger.error(`Failed to load blocklist: ${err.message}`);
     }
   }
 
+  /**
+   * Builds the lookup tables for a freshly loaded list and reports
+   * duplicate entries and entries already covered by wider ranges
+   */
+  compileList(list, duplicates, description) {
+    const overlaps = list.rebuild();
+
+    if (duplicates > 0) {
+      logger.info(`Ignored ${duplicates} duplicate ${description} entries`);
+    }
+
+    if (overlaps.length > 0) {
+      const examples = overlaps.slice(0, 3).map(({ entry, within }) => `${entry} (within ${within})`).join(', ');
+      logger.info(`${overlaps.length} ${description} entries are covered by wider ranges, e.g. ${examples}`);
+      for (const { entry, within } of overlaps) {
+        logger.debug(`${description} entry ${entry} is covered by ${within}`);
+      }
+    }
+  }
+
+  /**
+   * Restores temporary blocks, offence levels, and rate-limit history if
+   * PERSIST_RATE_LIMIT_HISTORY is set, from the state file. Expired blocks
+   * and attempts outside the rate-limit window are dropped; an unreadable
+   * file is moved aside and bbsfw starts with a clean slate.
+   */
+  loadState(statePath) {
+    const fullPath = path.resolve(statePath);
+    if (!fs.existsSync(fullPath)) {
+      return;
+    }
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+      if (!state || !Array.isArray(state.blockedIPs)) {
+        throw new Error('unexpected format');
+      }
+    } catch (err) {
+      const corruptPath = `${fullPath}.corrupt`;
+      logger.warn(`Ignoring unreadable state file ${fullPath}: ${err.message}`);
+      try {
+        fs.renameSync(fullPath, corruptPath);
+        logger.warn(`Moved it to ${corruptPath}`);
+      } catch (renameErr) {
+        logger.error(`Failed to move state file aside: ${renameErr.message}`);
+      }
+      return;
+    }
+
+    const now = Date.now();
+    let restored = 0;
+    let expired = 0;
+    for (const block of state.blockedIPs) {
+      const ip = block && typeof block.ip === 'string' ? canonicalIP(block.ip) : null;
+      if (!ip || !Number.isFinite(block.blockedUntil)) {
+        continue;
+      }
+      if (block.blockedUntil <= now) {
+        expired++;
+        continue;
+      }
+
+      this.blockedIPs.set(ip, {
+        blockedUntil: block.blockedUntil,
+        reason: typeof block.reason === 'string' ? block.reason : 'Temporarily blocked',
+        code: typeof block.code === 'string' ? block.code : 'ratelimit',
+        level: Number.isInteger(block.level) ? block.level : null,
+        blockedAt: Number.isFinite(block.blockedAt) ? block.blockedAt : now,
+      });
+      restored++;
+    }
+
+    if (state.offences && typeof state.offences === 'object') {
+      for (const [address, history] of Object.entries(state.offences)) {
+        const ip = canonicalIP(address);
+        if (ip && history && Number.isInteger(history.level) && Number.isFinite(history.quietSince)) {
+          this.offences.set(ip, { level: history.level, quietSince: history.quietSince });
+          if (this.getOffenceLevel(ip, now) === 0) {
+            this.offences.delete(ip);
+          }
+        }
+      }
+    }
+
+    let tracked = 0;
+    if (this.config.persistRateLimitHistory && state.connectionAttempts && typeof state.connectionAttempts === 'object') {
+      const windowStart = now - this.config.rateLimitWindowMs;
+      for (const [address, attempts] of Object.entries(state.connectionAttempts)) {
+        const ip = canonicalIP(address);
+        const recentAttempts = Array.isArray(attempts)
+          ? attempts.filter(time => Number.isFinite(time) && time > windowStart && time <= now)
+          : [];
+        if (ip && recentAttempts.length > 0) {
+          this.connectionAttempts.set(ip, recentAttempts);
+          tracked++;
+        }
+      }
+    }
+
+    logger.info(`Restored ${restored} temporary blocks and ${this.offences.size} repeat offenders from ${fullPath}` +
+      (expired > 0 ? ` (dropped ${expired} expired blocks)` : '') +
+      (this.config.persistRateLimitHistory ? `, rate-limit history for ${tracked} IPs` : ''));
+  }
+
+  /**
+   * Writes temporary blocks, offence levels and (if
+   * PERSIST_RATE_LIMIT_HISTORY is set) rate-limit history to the state file
+   */
+  saveState() {
+    if (!this.config.statePath) {
+      return;
+    }
+
+    const state = {
+      version: STATE_VERSION,
+      savedAt: Date.now(),
+      blockedIPs: this.getTemporaryBlocks(),
+      offences: Object.fromEntries(this.offences),
+    };
+    if (this.config.persistRateLimitHistory) {
+      state.connectionAttempts = Object.fromEntries(this.connectionAttempts);
+    }
+
+    try {
+      writeFileAtomic(this.config.statePath, JSON.stringify(state));
+      logger.debug(`Saved ${state.blockedIPs.length} temporary blocks to ${this.config.statePath}`);
+    } catch (err) {
+      logger.error(`Failed to save state file: ${err.message}`);
+    }
+  }
+
+  /**
+   * Saves the state file shortly (see STATE_SAVE_DELAY)
+   */
+  scheduleSave() {
+    if (!this.config.statePath || this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveState();
+    }, STATE_SAVE_DELAY);
+    this.saveTimer.unref();
+  }
+
   reloadWhitelist() {
     if (!this.config.whitelistPath) {
       return;
@@ -153,62 +357,132 @@ class IPFilter {
     this.loadBlocklist(this.config.blocklistPath);
   }
 
-  isIPWhitelisted(ipAddress) {
-    // Handle null/undefined IP addresses
-    if (!ipAddress || typeof ipAddress !== 'string') {
+  /**
+   * Adds an entry to the blocklist, saving it to BLOCKLIST_PATH if configured
+   * @returns {boolean} False if the entry was already in the blocklist
+   */
+  addToBlocklist(entry) {
+    return this.addListEntry(this.blocklist, this.config.blocklistPath, entry, 'blocklist');
+  }
+
+  /**
+   * Removes an entry from the blocklist (and BLOCKLIST_PATH)
+   * @returns {boolean} False if the entry wasn't in the blocklist
+   */
+  removeFromBlocklist(entry) {
+    return this.removeListEntry(this.blocklist, this.config.blocklistPath, entry, 'blocklist');
+  }
+
+  addToWhitelist(entry) {
+    return this.addListEntry(this.whitelist, this.config.whitelistPath, entry, 'whitelist');
+  }
+
+  removeFromWhitelist(entry) {
+    return this.removeListEntry(this.whitelist, this.config.whitelistPath, entry, 'whitelist');
+  }
+
+  addListEntry(list, filePath, value, description) {
+    const entry = canonicalEntry(value);
+    if (!entry || list.has(entry)) {
       return false;
     }
-    
-    // Clean IPv6-mapped IPv4 addresses
-    const cleanIp = ipAddress.replace(/^::ffff:/i, '');
-    
-    // Check exact match
-    if (this.whitelist.has(cleanIp)) {
-      return true;
-    }
 
-    // Check if whitelist contains the IP (for IPv6 format too)
-    if (this.whitelist.has(ipAddress)) {
-      return true;
+    list.add(entry);
+    if (filePath) {
+      appendListEntry(filePath, entry);
     }
+    logger.info(`Added ${entry} to ${description}${filePath ? '' : ' (not saved: no file configured)'}`);
+    return true;
+  }
 
-    // Check CIDR ranges
-    for (const entry of this.whitelist) {
-      if (ipMatchesCIDR(cleanIp, entry)) {
-        return true;
-      }
+  removeListEntry(list, filePath, value, description) {
+    const entry = canonicalEntry(value);
+    if (!entry || !list.delete(entry)) {
+      return false;
     }
 
-    return false;
+    if (filePath) {
+      removeListEntry(filePath, entry);
+    }
+    logger.info(`Removed ${entry} from ${description}`);
+    return true;
   }
 
-  isIPInBlocklist(ipAddress) {
+  isIPWhitelisted(ipAddress) {
     // Handle null/undefined IP addresses
     if (!ipAddress || typeof ipAddress !== 'string') {
       return false;
     }
     
-    // Clean IPv6-mapped IPv4 addresses
-    const cleanIp = ipAddress.replace(/^::ffff:/i, '');
-    
-    // Check exact match
-    if (this.blocklist.has(cleanIp)) {
-      return true;
+    // Single IPs and CIDR ranges, IPv4 and IPv6 (IPv4-mapped addresses count as IPv4)
+    const address = parseIP(ipAddress);
+    return address !== null && this.whitelist.find(address) !== null;
+  }
+
+  isIPInBlocklist(ipAddress) {
+    return this.findBlocklistEntry(ipAddress) !== null;
+  }
+
+  /**
+   * Finds the blocklist or threat feed entry covering an IP
+   * @returns {Object|null} { entry, source } where source is 'blocklist' or
+   *   the feed name, or null if the IP isn't listed
+   */
+  findBlocklistEntry(ipAddress) {
+    // Handle null/undefined IP addresses
+    if (!ipAddress || typeof ipAddress !== 'string') {
+      return null;
     }
 
-    // Check if blocklist contains the IP (for IPv6 format too)
-    if (this.blocklist.has(ipAddress)) {
-      return true;
+    // Single IPs and CIDR ranges, IPv4 and IPv6 (IPv4-mapped addresses count as IPv4)
+    const address = parseIP(ipAddress);
+    if (!address) {
+      return null;
     }
 
-    // Check CIDR ranges
-    for (const entry of this.blocklist) {
-      if (ipMatchesCIDR(cleanIp, entry)) {
-        return true;
+    const entry = this.blocklist.find(address);
+    if (entry !== null) {
+      return { entry, source: 'blocklist' };
+    }
+
+    for (const [name, list] of this.feeds) {
+      const feedEntry = list.find(address);
+      if (feedEntry !== null) {
+        return { entry: feedEntry, source: name };
       }
     }
 
-    return false;
+    return null;
+  }
+
+  /**
+   * Replaces the entries loaded from a threat feed. Each feed has its own
+   * list next to the blocklist, so refreshing a feed never touches manual
+   * entries or other feeds.
+   * @param {string} name - Feed name
+   * @param {Array<Object>} ranges - Parsed ranges (see parseCIDR())
+   * @returns {number} Number of entries after removing duplicates
+   */
+  setFeedEntries(name, ranges) {
+    const list = new IPRangeList();
+    let duplicates = 0;
+    for (const range of ranges) {
+      if (!list.add(formatRange(range), range)) {
+        duplicates++;
+      }
+    }
+
+    this.compileList(list, duplicates, `${name} feed`);
+    this.feeds.set(name, list);
+    return list.size;
+  }
+
+  /**
+   * Drops a threat feed's entries
+   * @returns {boolean} False if the feed wasn't loaded
+   */
+  removeFeed(name) {
+    return this.feeds.delete(name);
   }
 
   recordConnectionAttempt(ipAddress) {
@@ -222,7 +496,7 @@ class IPFilter {
     }
 
     const now = Date.now();
-    const cleanIp = ipAddress.replace(/^::ffff:/i, '');
+    const cleanIp = canonicalIP(ipAddress) || ipAddress;
 
     if (!this.connectionAttempts.has(cleanIp)) {
       this.connectionAttempts.set(cleanIp, []);
@@ -238,9 +512,8 @@ class IPFilter {
 
     // Check if exceeded rate limit
     if (recentAttempts.length > this.config.maxConnectionsPerWindow) {
-      this.blockIP(
-        cleanIp, 
-        this.config.rateLimitBlockDurationMs,
+      this.penalize(
+        cleanIp,
         `Rate limit exceeded: ${recentAttempts.length} connections in ${this.config.rateLimitWindowMs}ms`
       );
       return true; // Exceeded
@@ -249,18 +522,133 @@ class IPFilter {
     return false;
   }
 
-  blockIP(ipAddress, durationMs, reason) {
-    const cleanIp = ipAddress.replace(/^::ffff:/i, '');
+  /**
+   * Returns an IP's rate-limit offence level (0 for none). Each full
+   * RATE_LIMIT_OFFENCE_DECAY_MS without an offence, counted from the end of
+   * the last block, forgives one offence.
+   */
+  getOffenceLevel(ip, now = Date.now()) {
+    const history = this.offences.get(ip);
+    if (!history) {
+      return 0;
+    }
+
+    const decayMs = this.config.rateLimitOffenceDecayMs;
+    const quietFor = now - history.quietSince;
+    const forgiven = decayMs > 0 && quietFor > 0 ? Math.floor(quietFor / decayMs) : 0;
+    return Math.max(0, history.level - forgiven);
+  }
+
+  /**
+   * Blocks a rate-limit offender, for longer each time they come back: the
+   * block is multiplied by RATE_LIMIT_BLOCK_MULTIPLIER per offence (up to
+   * RATE_LIMIT_MAX_BLOCK_DURATION_MS), and after RATE_LIMIT_PERMANENT_AFTER
+   * offences the IP goes on the blocklist instead
+   */
+  penalize(ip, reason) {
+    const now = Date.now();
+    const level = this.getOffenceLevel(ip, now) + 1;
+    const {
+      rateLimitBlockDurationMs,
+      rateLimitBlockMultiplier,
+      rateLimitMaxBlockDurationMs,
+      rateLimitPermanentAfter,
+    } = this.config;
+
+    if (rateLimitPermanentAfter > 0 && level >= rateLimitPermanentAfter) {
+      this.offences.delete(ip);
+      const line = logger.eventLine('BLOCK', { ip, code: 'ratelimit', duration: 'permanent', level, reason });
+      logger.event('warn', 'ip-blocked', line, {
+        ip,
+        reason,
+        code: 'ratelimit',
+        level,
+        permanent: true,
+      });
+      this.addToBlocklist(ip);
+      this.emit('ip-blocked', { ip, reason, code: 'ratelimit', level, permanent: true });
+      this.scheduleSave();
+      return;
+    }
+
+    const durationMs = Math.min(
+      rateLimitBlockDurationMs * rateLimitBlockMultiplier ** (level - 1),
+      rateLimitMaxBlockDurationMs
+    );
+    this.offences.set(ip, { level, quietSince: now + durationMs });
+    this.blockIP(ip, durationMs, reason, 'ratelimit', level);
+  }
+
+  /**
+   * Temporarily blocks an IP
+   * @param {string} code - Rejection reason code shown to the caller (e.g. 'ratelimit')
+   * @param {number|null} level - Offence level for escalating rate-limit blocks
+   */
+  blockIP(ipAddress, durationMs, reason, code, level = null) {
+    const cleanIp = canonicalIP(ipAddress) || ipAddress;
     const blockedUntil = Date.now() + durationMs;
     
     this.blockedIPs.set(cleanIp, {
       blockedUntil,
       reason,
+      code,
+      level,
       blockedAt: Date.now(),
     });
 
-    const durationMin = Math.round(durationMs / 60000);
-    logger.warn(`Blocked IP ${cleanIp} for ${durationMin} minutes: ${reason}`);
+    const duration = Math.round(durationMs / 1000);
+    const line = logger.eventLine('BLOCK', { ip: cleanIp, code, duration, level, reason });
+    logger.event('warn', 'ip-blocked', line, {
+      ip: cleanIp,
+      reason,
+      code,
+      level,
+      durationMs,
+      blockedUntil,
+    });
+    this.emit('ip-blocked', { ip: cleanIp, reason, code, level, durationMs, blockedUntil });
+    this.scheduleSave();
+  }
+
+  /**
+   * Lifts a temporary block
+   * @returns {boolean} False if the IP wasn't temporarily blocked
+   */
+  unblockIP(ipAddress) {
+    const cleanIp = canonicalIP(ipAddress) || ipAddress;
+    if (!this.blockedIPs.delete(cleanIp)) {
+      return false;
+    }
+
+    logger.event('info', 'ip-unblocked', `Unblocked IP ${cleanIp}`, { ip: cleanIp });
+    this.emit('ip-unblocked', { ip: cleanIp });
+    this.scheduleSave();
+    return true;
+  }
+
+  /**
+   * Lists active temporary blocks
+   */
+  getTemporaryBlocks() {
+    const now = Date.now();
+    return Array.from(this.blockedIPs.entries())
+      .filter(([, blockInfo]) => blockInfo.blockedUntil > now)
+      .map(([ip, blockInfo]) => ({ ip, ...blockInfo }));
+  }
+
+  /**
+   * Lists the IPs with the most connection attempts in the current
+   * rate-limit window
+   * @param {number} limit - Maximum number of IPs returned
+   * @returns {Array<Object>} [{ ip, attempts }], busiest first
+   */
+  getRateLimitActivity(limit = 10) {
+    const windowStart = Date.now() - this.config.rateLimitWindowMs;
+    return Array.from(this.connectionAttempts.entries())
+      .map(([ip, attempts]) => ({ ip, attempts: attempts.filter(time => time > windowStart).length }))
+      .filter(entry => entry.attempts > 0)
+      .sort((a, b) => b.attempts - a.attempts)
+      .slice(0, limit);
   }
 
   isIPBlocked(ipAddress) {
@@ -269,32 +657,48 @@ class IPFilter {
       return { blocked: false };
     }
     
-    const cleanIp = ipAddress.replace(/^::ffff:/i, '');
+    const cleanIp = canonicalIP(ipAddress) || ipAddress;
     
     // Check if temporarily blocked
     const blockInfo = this.blockedIPs.get(cleanIp);
     if (blockInfo) {
       if (Date.now() < blockInfo.blockedUntil) {
-        return { blocked: true, reason: blockInfo.reason, temporary: true };
+        return {
+          blocked: true,
+          reason: blockInfo.reason,
+          code: blockInfo.code,
+          temporary: true,
+          blockedUntil: blockInfo.blockedUntil,
+        };
       } else {
         // Block expired, remove it
         this.blockedIPs.delete(cleanIp);
       }
     }
 
-    // Check permanent blocklist
-    if (this.isIPInBlocklist(ipAddress)) {
-      return { blocked: true, reason: 'IP in blocklist', temporary: false };
+    // Check permanent blocklist and threat feeds
+    const listed = this.findBlocklistEntry(ipAddress);
+    if (listed) {
+      const reason = listed.source === 'blocklist'
+        ? 'IP in blocklist'
+        : `IP in threat feed ${listed.source} (${listed.entry})`;
+      return { blocked: true, reason, code: 'blocklist', temporary: false, source: listed.source };
     }
 
     return { blocked: false };
   }
 
-  shouldAllowConnection(ipAddress) {
+  /**
+   * Checks the whitelist, the blocklist and temporary blocks, then records the
+   * attempt for rate limiting
+   * @param {boolean} recordAttempt - False to check a caller again (e.g. one
+   *   leaving the waiting room) without counting another attempt
+   */
+  shouldAllowConnection(ipAddress, recordAttempt = true) {
     // Handle null/undefined IP addresses - block them by default
     if (!ipAddress || typeof ipAddress !== 'string') {
       logger.warn('Connection attempt with invalid/undefined IP address');
-      return { allowed: false, reason: 'Invalid IP address' };
+      return { allowed: false, reason: 'Invalid IP address', code: 'unknown-ip' };
     }
     
     // Check if IP is whitelisted - if so, bypass all other checks
@@ -307,13 +711,19 @@ class IPFilter {
     const blockCheck = this.isIPBlocked(ipAddress);
     if (blockCheck.blocked) {
       logger.info(`Blocked connection from ${ipAddress}: ${blockCheck.reason}`);
-      return { allowed: false, reason: blockCheck.reason };
+      return {
+        allowed: false,
+        reason: blockCheck.reason,
+        code: blockCheck.code,
+        blockedUntil: blockCheck.blockedUntil,
+      };
     }
 
     // Record attempt and check rate limit
-    const rateLimitExceeded = this.recordConnectionAttempt(ipAddress);
+    const rateLimitExceeded = recordAttempt && this.recordConnectionAttempt(ipAddress);
     if (rateLimitExceeded) {
-      return { allowed: false, reason: 'Rate limit exceeded' };
+      const { blockedUntil } = this.isIPBlocked(ipAddress);
+      return { allowed: false, reason: 'Rate limit exceeded', code: 'ratelimit', blockedUntil };
     }
 
     return { allowed: true };
@@ -337,17 +747,41 @@ class IPFilter {
     for (const [ip, blockInfo] of this.blockedIPs.entries()) {
       if (now >= blockInfo.blockedUntil) {
         this.blockedIPs.delete(ip);
-        logger.debug(`Unblocked IP ${ip} (temporary block expired)`);
+        logger.event('debug', 'ip-unblocked', `Unblocked IP ${ip} (temporary block expired)`, { ip, reason: 'expired' });
+        this.emit('ip-unblocked', { ip });
       }
     }
+
+    // Forget offenders whose offences have all decayed
+    for (const ip of this.offences.keys()) {
+      if (this.getOffenceLevel(ip, now) === 0) {
+        this.offences.delete(ip);
+      }
+    }
+
+    // Rate-limit history is saved once a minute rather than on every attempt
+    if (this.config.persistRateLimitHistory) {
+      this.scheduleSave();
+    }
   }
 
   getStats() {
+    // Number of offenders at each offence level, e.g. { 1: 12, 2: 3 }
+    const offenceLevels = {};
+    for (const ip of this.offences.keys()) {
+      const level = this.getOffenceLevel(ip);
+      if (level > 0) {
+        offenceLevels[level] = (offenceLevels[level] || 0) + 1;
+      }
+    }
+
     return {
       whitelistSize: this.whitelist.size,
       blocklistSize: this.blocklist.size,
+      feedEntries: Array.from(this.feeds.values()).reduce((total, list) => total + list.size, 0),
       temporarilyBlockedIPs: this.blockedIPs.size,
       trackedIPs: this.connectionAttempts.size,
+      offenceLevels,
     };
   }
 
@@ -355,6 +789,11 @@ class IPFilter {
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
     }
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.saveState();
   }
 }
 
@@ -376,6 +815,7 @@ function getIPFilter() {
 module.exports = {
   initializeIPFilter,
   getIPFilter,
+  isValidIPEntry,
 };
 
 
@@ -1,8 +1,19 @@
 /**
  * Simple logging utility
+ * Writes text lines (the default) or JSON lines (LOG_FORMAT=json) to the
+ * console, or to LOG_FILE with size- and time-based rotation, and
+ * optionally to syslog (RFC 5424 over UDP, TCP or a local socket)
  */
 
-const { config } = require('./config');
+const { spawn } = require('child_process');
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { config, parseSyslogTarget, SYSLOG_FACILITIES } = require('./config');
+const { canonicalIP } = require('./ip-ranges');
 
 const LOG_LEVELS = {
   debug: 0,
@@ -11,26 +22,528 @@ const LOG_LEVELS = {
   error: 3,
 };
 
-const currentLevel = LOG_LEVELS[config.logLevel] || LOG_LEVELS.info;
+// Fields present on every JSON line (null when they don't apply), so the
+// logs can be queried without parsing messages
+const EVENT_FIELDS = [
+  'event',
+  'connectionId',
+  'protocol',
+  'ip',
+  'country',
+  'asn',
+  'asnOrg',
+  'reason',
+  'bytesFromClient',
+  'bytesFromBackend',
+  'durationMs',
+];
 
-function log(level, message, data = null) {
-  if (LOG_LEVELS[level] >= currentLevel) {
+// Syslog severities for each level
+const SYSLOG_SEVERITIES = {
+  debug: 7,
+  info: 6,
+  warn: 4,
+  error: 3,
+};
+
+// Messages held while a TCP syslog connection is (re)established
+const SYSLOG_QUEUE_LENGTH = 1000;
+
+// Pause before reconnecting to a TCP syslog server or restarting logger (ms)
+const SYSLOG_RECONNECT_DELAY = 5000;
+
+// Local syslog sockets go through the util-linux logger command
+const SYSLOG_UNIX_REQUIREMENT = 'A unix socket SYSLOG_TARGET needs the util-linux logger command; use udp://127.0.0.1 otherwise';
+
+// Looked up on each call so LOG_LEVEL can change on a configuration reload
+function currentLevel() {
+  return config.logLevel in LOG_LEVELS ? LOG_LEVELS[config.logLevel] : LOG_LEVELS.info;
+}
+
+/**
+ * Log file with rotation: when the file would grow past LOG_MAX_SIZE, or a
+ * new day/hour starts (LOG_ROTATE), bbsfw.log is renamed to bbsfw.log.1
+ * (older files move up one) and a new file is started. Only LOG_MAX_FILES
+ * rotated files are kept. Lines go through a write stream, so logging never
+ * waits for the disk; lines logged while the files are being renamed are
+ * held and written to the new file.
+ */
+class LogFile {
+  constructor(filePath) {
+    this.path = path.resolve(filePath);
+    this.stream = null;
+    this.size = 0;
+    this.period = null;
+    this.held = null; // Lines logged during rotation
+    this.failed = false; // Hit a write error; replaced on the next line
+    this.onClosed = null;
+
+    // Opened synchronously so a bad LOG_FILE falls back to the console straight away
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const fd = fs.openSync(this.path, 'a');
+    const stats = fs.fstatSync(fd);
+    this.size = stats.size;
+    // An existing file belongs to the period it was last written in
+    this.period = this.periodOf(stats.size > 0 ? stats.mtime : new Date());
+    this.attach(fd);
+  }
+
+  /**
+   * Starts the write stream, on an open descriptor or (after a rotation) the path
+   */
+  attach(fd) {
+    this.stream = fs.createWriteStream(this.path, { fd, flags: 'a' });
+    this.stream.on('error', (err) => this.fail(err));
+  }
+
+  fail(err) {
+    if (!this.failed) {
+      this.failed = true;
+      console.error(`Failed to write log file ${this.path}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Returns the rotation period a time falls in, e.g. "2026-10-19" for
+   * daily rotation (UTC, like the timestamps), or null if not rotating by time
+   */
+  periodOf(date) {
+    if (config.logRotate === 'daily') {
+      return date.toISOString().slice(0, 10);
+    }
+    if (config.logRotate === 'hourly') {
+      return date.toISOString().slice(0, 13);
+    }
+    return null;
+  }
+
+  write(line) {
+    const data = `${line}\n`;
+    const length = Buffer.byteLength(data);
+    const tooBig = config.logMaxSize > 0 && this.size > 0 && this.size + length > config.logMaxSize;
+    if (!this.held && (tooBig || this.periodOf(new Date()) !== this.period)) {
+      this.rotate();
+    }
+
+    if (this.held) {
+      this.held.push(data);
+    } else {
+      this.stream.write(data);
+    }
+    this.size += length;
+  }
+
+  rotate() {
+    this.held = [];
+    this.size = 0;
+    this.period = this.periodOf(new Date());
+    this.stream.end(() => {
+      this.stream = null;
+      this.renameFiles()
+        .then(() => {
+          this.attach();
+          for (const data of this.held) {
+            this.stream.write(data);
+          }
+          this.held = null;
+          if (this.onClosed) {
+            this.stream.end(this.onClosed);
+          }
+        })
+        .catch((err) => {
+          this.fail(err);
+          for (const data of this.held) {
+            process.stdout.write(data);
+          }
+          this.held = null;
+          if (this.onClosed) {
+            this.onClosed();
+          }
+        });
+    });
+  }
+
+  /**
+   * Moves bbsfw.log to bbsfw.log.1 and older files up one, dropping the
+   * oldest, or removes bbsfw.log if no rotated files are kept
+   */
+  async renameFiles() {
+    const keep = config.logMaxFiles;
+    if (keep <= 0) {
+      await fs.promises.unlink(this.path);
+      return;
+    }
+
+    for (let index = keep - 1; index >= 1; index--) {
+      try {
+        await fs.promises.rename(`${this.path}.${index}`, `${this.path}.${index + 1}`);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    }
+    await fs.promises.rename(this.path, `${this.path}.1`);
+  }
+
+  /**
+   * Finishes writing (including lines held during a rotation) and closes the file
+   * @param {Function} callback - Called once everything has been written
+   */
+  close(callback = () => {}) {
+    if (this.held) {
+      this.onClosed = callback;
+    } else if (this.stream) {
+      this.stream.end(callback);
+    } else {
+      callback();
+    }
+  }
+}
+
+let logFile = null;
+
+/**
+ * Sends log lines to syslog as RFC 5424 messages. UDP sends one datagram
+ * per message; TCP uses octet-counting framing (RFC 6587) and reconnects if
+ * the server goes away. Node can't write to datagram unix sockets, so local
+ * sockets go through the util-linux logger command.
+ */
+class SyslogTransport {
+  constructor(target) {
+    this.target = target;
+    this.hostname = os.hostname();
+    this.socket = null;
+    this.connected = false;
+    this.queue = []; // TCP messages waiting for a connection
+    this.reconnectTimer = null;
+    this.failed = false; // Reported an error already (reported once)
+    this.pending = 0; // UDP datagrams not sent yet
+    this.spawnedAt = 0;
+    this.closing = false;
+
+    if (target.transport === 'udp') {
+      this.socket = dgram.createSocket(net.isIPv6(target.host) ? 'udp6' : 'udp4');
+      this.socket.on('error', (err) => this.reportError(err));
+      this.socket.unref();
+    } else if (target.transport === 'tcp') {
+      this.connect();
+    } else {
+      this.spawnLogger();
+    }
+  }
+
+  connect() {
+    this.reconnectTimer = null;
+    this.socket = net.connect(this.target.port, this.target.host, () => {
+      this.connected = true;
+      this.failed = false;
+      for (const message of this.queue) {
+        this.writeFrame(message);
+      }
+      this.queue = [];
+    });
+    this.socket.unref();
+    this.socket.on('error', (err) => this.reportError(err));
+    this.socket.on('close', () => {
+      this.connected = false;
+      if (this.socket && !this.reconnectTimer) {
+        this.reconnectTimer = setTimeout(() => this.connect(), SYSLOG_RECONNECT_DELAY);
+        this.reconnectTimer.unref();
+      }
+    });
+  }
+
+  spawnLogger() {
+    this.spawnedAt = Date.now();
+    const child = spawn('logger', [
+      '--socket', this.target.path,
+      '--socket-errors=on',
+      '--prio-prefix',
+      '--rfc5424',
+      '--tag', this.tag(),
+      `--id=${process.pid}`,
+    ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+    // busybox and BSD logger reject these options and exit straight away;
+    // keep what they print so the error says why
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      stderr = (stderr + data.toString()).slice(0, 500);
+    });
+    child.on('error', (err) => {
+      this.reportError(new Error(`can't run logger (${err.message}). ${SYSLOG_UNIX_REQUIREMENT}`));
+    });
+    child.on('exit', (code) => {
+      if (this.socket === child) {
+        this.socket = null;
+        const output = stderr.trim().split('\n')[0];
+        this.reportError(new Error(`logger exited with code ${code}${output ? ` (${output})` : ''}. ${SYSLOG_UNIX_REQUIREMENT}`));
+      }
+    });
+    child.stdin.on('error', () => {});
+    child.unref();
+    child.stdin.unref();
+    child.stderr.unref();
+    this.socket = child;
+  }
+
+  tag() {
+    // APP-NAME is printable ASCII without spaces, up to 48 characters
+    return (config.syslogTag || 'bbsfw').replace(/[^\x21-\x7e]/g, '_').slice(0, 48);
+  }
+
+  /**
+   * Sends a message
+   * @param {string} level - Log level
+   * @param {string|null} msgid - Event type, used as the RFC 5424 MSGID
+   * @param {string} text - Message text
+   */
+  send(level, msgid, text) {
+    const facility = SYSLOG_FACILITIES[config.syslogFacility] || SYSLOG_FACILITIES.daemon;
+    const priority = facility * 8 + SYSLOG_SEVERITIES[level];
+    // Control characters would split or corrupt the message
+    const body = text.replace(/[\r\n]+/g, ' ');
+
+    if (this.target.transport === 'unix') {
+      // logger writes the RFC 5424 header itself; it reads the priority
+      // from the prefix of each line. If it has exited (e.g. the syslog
+      // daemon restarted), start it again after a pause.
+      if (!this.socket && Date.now() - this.spawnedAt >= SYSLOG_RECONNECT_DELAY) {
+        this.spawnLogger();
+      }
+      if (this.socket) {
+        this.socket.stdin.write(`<${priority}>${body}\n`);
+      }
+      return;
+    }
+
+    const message = `<${priority}>1 ${new Date().toISOString()} ${this.hostname} ${this.tag()} ` +
+      `${process.pid} ${msgid || '-'} - ${body}`;
+
+    if (this.target.transport === 'udp') {
+      const socket = this.socket;
+      const data = Buffer.from(message);
+      this.pending++;
+      socket.send(data, 0, data.length, this.target.port, this.target.host, () => {
+        this.pending--;
+        // Closed while the datagram was waiting to go out
+        if (this.closing && this.pending === 0) {
+          socket.close();
+        }
+      });
+    } else if (this.connected) {
+      this.writeFrame(message);
+    } else if (this.queue.length < SYSLOG_QUEUE_LENGTH) {
+      this.queue.push(message);
+    }
+  }
+
+  writeFrame(message) {
+    this.socket.write(`${Buffer.byteLength(message)} ${message}`);
+  }
+
+  reportError(err) {
+    if (!this.failed) {
+      this.failed = true;
+      console.error(`Syslog (${config.syslogTarget}) unavailable: ${err.message}`);
+    }
+  }
+
+  close() {
+    const socket = this.socket;
+    this.socket = null;
+    clearTimeout(this.reconnectTimer);
+    if (!socket) {
+      return;
+    }
+    if (this.target.transport === 'unix') {
+      socket.stdin.end();
+    } else if (this.target.transport === 'udp') {
+      this.closing = true;
+      if (this.pending === 0) {
+        socket.close();
+      }
+    } else {
+      socket.end();
+    }
+  }
+}
+
+let syslog = null;
+
+/**
+ * Sends a line to syslog if SYSLOG_TARGET is set
+ */
+function outputSyslog(level, msgid, text) {
+  // SYSLOG_TARGET may change on a configuration reload
+  if (!syslog || syslog.target.source !== config.syslogTarget) {
+    if (syslog) {
+      syslog.close();
+      syslog = null;
+    }
+    const target = parseSyslogTarget(config.syslogTarget);
+    if (!target) {
+      return;
+    }
+    syslog = new SyslogTransport({ ...target, source: config.syslogTarget });
+  }
+
+  syslog.send(level, msgid, text);
+}
+
+/**
+ * Writes a finished line to LOG_FILE, or the console if no file is set
+ * (or it can't be written)
+ */
+function output(line) {
+  if (!config.logFile) {
+    if (logFile) {
+      logFile.close();
+      logFile = null;
+    }
+    console.log(line);
+    return;
+  }
+
+  try {
+    // LOG_FILE may change on a configuration reload; a file that hit an
+    // error is opened again
+    if (!logFile || logFile.failed || logFile.path !== path.resolve(config.logFile)) {
+      if (logFile) {
+        logFile.close();
+      }
+      logFile = new LogFile(config.logFile);
+    }
+    logFile.write(line);
+  } catch (err) {
+    console.log(line);
+    console.error(`Failed to write log file ${config.logFile}: ${err.message}`);
+    if (logFile) {
+      logFile.close();
+      logFile = null;
+    }
+  }
+}
+
+/**
+ * Builds a JSON log line
+ */
+function formatJSON(timestamp, level, message, data, fields) {
+  const entry = { time: timestamp, level };
+  for (const name of EVENT_FIELDS) {
+    entry[name] = fields[name] !== undefined ? fields[name] : null;
+  }
+  if (typeof entry.ip === 'string') {
+    entry.ip = canonicalIP(entry.ip) || entry.ip;
+  }
+  entry.message = message;
+
+  // Event-specific extras (e.g. code, blockedUntil) follow the fixed fields
+  for (const [name, value] of Object.entries(fields)) {
+    if (!(name in entry)) {
+      entry[name] = value;
+    }
+  }
+  if (data !== null && data !== undefined) {
+    entry.data = data;
+  }
+  return JSON.stringify(entry);
+}
+
+function log(level, message, data = null, fields = {}) {
+  if (LOG_LEVELS[level] >= currentLevel()) {
     const timestamp = new Date().toISOString();
+
+    if (config.logFormat === 'json') {
+      const line = formatJSON(timestamp, level, message, data, fields);
+      output(line);
+      if (config.syslogTarget) {
+        outputSyslog(level, fields.event, line);
+      }
+      return;
+    }
+
     const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
-    
+
     if (data) {
-      console.log(logMessage, data);
+      output(util.format(logMessage, data));
     } else {
-      console.log(logMessage);
+      output(logMessage);
+    }
+
+    // Syslog adds its own timestamp and severity
+    if (config.syslogTarget) {
+      outputSyslog(level, fields.event, data ? util.format(message, data) : message);
     }
   }
 }
 
+/**
+ * Builds a line in the fixed format used for block and reject events, which
+ * fail2ban filters and scripts rely on (documented in the README, so don't
+ * change it): a keyword followed by key=value pairs, e.g.
+ *   REJECT protocol=ssh ip=203.0.113.5 code=ratelimit reason="Rate limit exceeded"
+ * Values with spaces or quotes are quoted; missing values are written as "-".
+ * Control characters are escaped, so a value (e.g. a username in a reason)
+ * can never start a line of its own.
+ */
+function eventLine(keyword, pairs) {
+  const parts = Object.entries(pairs).map(([name, value]) => {
+    if (value === null || value === undefined || value === '') {
+      return `${name}=-`;
+    }
+    const text = String(value)
+      .replace(/["\\]/g, '\\$&')
+      .replace(/[\x00-\x1f\x7f]/g, char => `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+    return /[\s"\\]/.test(text) ? `${name}="${text}"` : `${name}=${text}`;
+  });
+  return [keyword, ...parts].join(' ');
+}
+
+/**
+ * Logs a connection or filter event. JSON lines get the event type and
+ * fields (see EVENT_FIELDS); text lines show just the message.
+ * @param {string} level - debug, info, warn or error
+ * @param {string} type - Event type, e.g. 'session-start' or 'rejected'
+ * @param {string} message - Text message
+ * @param {Object} fields - Event fields. A session record passed as
+ *   { session } fills in its ID, protocol, IP, country, bytes and duration.
+ */
+function event(level, type, message, { session, ...fields } = {}) {
+  const sessionFields = session ? {
+    connectionId: session.id,
+    protocol: session.protocol,
+    ip: session.ip,
+    country: session.country,
+    asn: session.asn,
+    asnOrg: session.asnOrg,
+    bytesFromClient: session.bytesFromClient,
+    bytesFromBackend: session.bytesFromBackend,
+    durationMs: Date.now() - session.startedAt,
+  } : {};
+  log(level, message, null, { ...sessionFields, ...fields, event: type });
+}
+
+/**
+ * Finishes writing the log file, e.g. before the process exits
+ * @param {Function} callback - Called once every line has been written
+ */
+function close(callback) {
+  if (!logFile) {
+    setImmediate(callback);
+    return;
+  }
+  logFile.close(callback);
+  logFile = null;
+}
+
 module.exports = {
+  close,
   debug: (msg, data) => log('debug', msg, data),
   info: (msg, data) => log('info', msg, data),
   warn: (msg, data) => log('warn', msg, data),
   error: (msg, data) => log('error', msg, data),
+  event,
+  eventLine,
 };
-
-
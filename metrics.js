@@ -0,0 +1,285 @@
+/**
+ * Prometheus metrics for bbsfw
+ * Serves /metrics in the Prometheus text exposition format, built from
+ * session registry, IP filter and backend pool events
+ */
+
+const http = require('http');
+const logger = require('./logger');
+const { parseTarget } = require('./config');
+const { getIPFilter } = require('./ipfilter');
+const { getSessionRegistry } = require('./sessions');
+const { getBackendPool } = require('./backend-pool');
+const { getWaitingRoom } = require('./waiting-room');
+const { getThreatFeeds } = require('./threat-feeds');
+
+// Upper bounds (seconds) of the backend connect latency histogram buckets
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const PROTOCOLS = ['telnet', 'ssh'];
+
+// Rejection reasons exported as zero before the first rejection of each kind
+const COMMON_REASONS = ['blocklist', 'ratelimit', 'country', 'asn', 'max-connections'];
+
+/**
+ * Escapes a label value for the exposition format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a label set, e.g. {protocol="ssh",reason="country"}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Counter with labels; values are kept per label set
+ */
+class Counter {
+  constructor() {
+    this.values = new Map(); // formatted labels -> value
+  }
+
+  inc(labels, value = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  get(labels) {
+    return this.values.get(formatLabels(labels)) || 0;
+  }
+}
+
+/**
+ * Histogram with labels and cumulative buckets
+ */
+class Histogram {
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.series = new Map(); // formatted labels -> { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const series = this.series.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+}
+
+class Metrics {
+  constructor(config) {
+    this.config = config;
+    this.server = null;
+    this.startedAt = Date.now();
+    this.accepted = new Counter();
+    this.rejected = new Counter();
+    this.rateLimitBans = new Counter();
+    this.backendFailures = new Counter();
+    this.backendLatency = new Histogram(LATENCY_BUCKETS);
+    // Bytes moved by sessions that have ended (live sessions are added on scrape)
+    this.endedBytes = new Counter();
+
+    // Start the usual series at zero so rate() works from the first scrape
+    for (const protocol of PROTOCOLS) {
+      this.accepted.inc({ protocol }, 0);
+      for (const reason of COMMON_REASONS) {
+        this.rejected.inc({ protocol, reason }, 0);
+      }
+    }
+  }
+
+  start() {
+    const registry = getSessionRegistry();
+    registry.on('session-start', (session) => {
+      this.accepted.inc({ protocol: session.protocol });
+    });
+    registry.on('session-end', (session) => {
+      this.endedBytes.inc({ protocol: session.protocol, direction: 'client_to_backend' }, session.bytesFromClient);
+      this.endedBytes.inc({ protocol: session.protocol, direction: 'backend_to_client' }, session.bytesFromBackend);
+    });
+    registry.on('session-rejected', (rejection) => {
+      this.rejected.inc({ protocol: rejection.protocol, reason: rejection.code });
+    });
+
+    getIPFilter().on('ip-blocked', (block) => {
+      if (block.code === 'ratelimit') {
+        this.rateLimitBans.inc({});
+      }
+    });
+
+    const pool = getBackendPool();
+    pool.on('connect', ({ target, durationMs }) => {
+      this.backendLatency.observe({ backend: target }, durationMs / 1000);
+    });
+    pool.on('connect-failed', ({ target }) => {
+      this.backendFailures.inc({ backend: target });
+    });
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+
+    this.server.on('error', (err) => {
+      logger.error('Metrics server error:', err.message);
+    });
+
+    const { host, port } = parseTarget(this.config.metricsListen, '127.0.0.1');
+    this.server.listen(port, host, () => {
+      logger.info(`Prometheus metrics at http://${host.includes(':') ? `[${host}]` : host}:${port}/metrics`);
+    });
+
+    return this.server;
+  }
+
+  handleRequest(req, res) {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Invalid URL\n');
+      return;
+    }
+
+    if (pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Allow': 'GET, HEAD', 'Content-Type': 'text/plain' });
+      res.end('Method not allowed\n');
+      return;
+    }
+
+    const body = this.render();
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body),
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * Renders every metric in the text exposition format
+   */
+  render() {
+    const lines = [];
+    const family = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      for (const [labels, value] of samples) {
+        lines.push(`${name}${typeof labels === 'string' ? labels : formatLabels(labels)} ${value}`);
+      }
+    };
+
+    const registry = getSessionRegistry();
+    const ipFilter = getIPFilter();
+    const sessions = registry.list();
+
+    family('bbsfw_connections_accepted_total', 'counter',
+      'Connections admitted as sessions',
+      this.accepted.values);
+    family('bbsfw_connections_rejected_total', 'counter',
+      'Connections turned away, by reason (blocklist, ratelimit, country, asn, max-connections, ...)',
+      this.rejected.values);
+
+    family('bbsfw_active_sessions', 'gauge',
+      'Sessions currently open',
+      PROTOCOLS.map((protocol) => [{ protocol }, sessions.filter((s) => s.protocol === protocol).length]));
+    family('bbsfw_max_sessions', 'gauge',
+      'Configured MAX_CONNECTIONS',
+      [[{}, this.config.maxConnections]]);
+    family('bbsfw_waiting_room_callers', 'gauge',
+      'Callers waiting for a free node',
+      [[{}, getWaitingRoom().getStats().queued]]);
+
+    const bytes = [];
+    for (const protocol of PROTOCOLS) {
+      for (const [direction, field] of [['client_to_backend', 'bytesFromClient'], ['backend_to_client', 'bytesFromBackend']]) {
+        const live = sessions
+          .filter((s) => s.protocol === protocol)
+          .reduce((sum, s) => sum + s[field], 0);
+        bytes.push([{ protocol, direction }, this.endedBytes.get({ protocol, direction }) + live]);
+      }
+    }
+    family('bbsfw_bytes_total', 'counter',
+      'Bytes proxied between callers and backends',
+      bytes);
+
+    family('bbsfw_backend_connect_failures_total', 'counter',
+      'Failed backend connection attempts',
+      this.backendFailures.values);
+    lines.push('# HELP bbsfw_backend_connect_duration_seconds Time taken to connect to a backend');
+    lines.push('# TYPE bbsfw_backend_connect_duration_seconds histogram');
+    for (const series of this.backendLatency.series.values()) {
+      this.backendLatency.buckets.forEach((bound, index) => {
+        const labels = formatLabels({ ...series.labels, le: bound });
+        lines.push(`bbsfw_backend_connect_duration_seconds_bucket${labels} ${series.counts[index]}`);
+      });
+      lines.push(`bbsfw_backend_connect_duration_seconds_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`bbsfw_backend_connect_duration_seconds_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`bbsfw_backend_connect_duration_seconds_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    family('bbsfw_backend_up', 'gauge',
+      'Whether a pool backend is considered healthy',
+      getBackendPool().getStats().map((backend) => [{ backend: backend.backend }, backend.healthy ? 1 : 0]));
+
+    const filterStats = ipFilter.getStats();
+    family('bbsfw_blocked_ips', 'gauge',
+      'IPs under a temporary block',
+      [[{}, ipFilter.getTemporaryBlocks().length]]);
+    family('bbsfw_blocklist_entries', 'gauge',
+      'Entries in the permanent blocklist',
+      [[{}, filterStats.blocklistSize]]);
+    family('bbsfw_threat_feed_entries', 'gauge',
+      'Entries loaded from each threat feed',
+      (getThreatFeeds() ? getThreatFeeds().getStats() : []).map((feed) => [{ feed: feed.name }, feed.entries]));
+    family('bbsfw_whitelist_entries', 'gauge',
+      'Entries in the whitelist',
+      [[{}, filterStats.whitelistSize]]);
+    family('bbsfw_rate_limit_tracked_ips', 'gauge',
+      'IPs with connection attempts in the current rate-limit window',
+      [[{}, filterStats.trackedIPs]]);
+    family('bbsfw_rate_limit_bans_total', 'counter',
+      'Temporary blocks imposed by the rate limiter',
+      [[{}, this.rateLimitBans.get({})]]);
+
+    family('bbsfw_start_time_seconds', 'gauge',
+      'Unix time bbsfw started',
+      [[{}, Math.floor(this.startedAt / 1000)]]);
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Starts the metrics endpoint if enabled
+ * @returns {http.Server|null} HTTP server instance or null if disabled
+ */
+function startMetrics(config) {
+  if (!config.metricsEnabled) {
+    return null;
+  }
+
+  return new Metrics(config).start();
+}
+
+module.exports = {
+  startMetrics,
+};
@@ -5,77 +5,113 @@
 const net = require('net');
 const logger = require('./logger');
 const { config } = require('./config');
-const { getGeoIP } = require('./geoip');
-const { getIPFilter } = require('./ipfilter');
+const { getSessionRegistry } = require('./sessions');
+const { formatASN } = require('./geoip');
 const { detectFromTelnetNegotiation, getBackendPortForEncoding } = require('./encoding-detector');
+const { negotiateClient, ReplyFilter, escapeIAC } = require('./telnet');
+const { getBackendPool } = require('./backend-pool');
+const { renderScreen, offlineScreen, rejectionScreen } = require('./screens');
+
+/**
+ * Disconnects a telnet caller, showing the rejection screen for the reason
+ * if one is configured. The caller's encoding isn't known yet, so the screen
+ * is sent in the encoding it was written in.
+ * @param {net.Socket} clientSocket - Client socket
+ * @param {string} code - Rejection reason (blocklist, ratelimit, country,
+ *   unknown-ip, session-limit or max-connections)
+ * @param {Object} details - { ip, reason, blockedUntil } for the template
+ */
+function rejectConnection(clientSocket, code, details = {}) {
+  const screen = rejectionScreen(code, details, config.screenEncoding, config);
+  if (screen) {
+    clientSocket.end(escapeIAC(screen));
+  } else {
+    clientSocket.end();
+  }
+}
 
 class ProxyConnection {
-  constructor(clientSocket, backendHost, backendPort) {
+  /**
+   * @param {net.Socket} clientSocket - Admitted client socket
+   * @param {string} backendHost - Backend host
+   * @param {number} backendPort - Backend port (without encoding detection)
+   * @param {Object} admission - Result of SessionRegistry.checkAdmission()
+   */
+  constructor(clientSocket, backendHost, backendPort, admission = {}) {
     this.clientSocket = clientSocket;
     this.backendHost = backendHost;
     this.backendPort = backendPort;
     this.backendSocket = null;
     this.clientAddress = `${clientSocket.remoteAddress || 'unknown'}:${clientSocket.remotePort || 'unknown'}`;
-    this.connectionId = this.generateConnectionId();
-    this.bytesFromClient = 0;
-    this.bytesFromBackend = 0;
+    this.session = getSessionRegistry().register('telnet', clientSocket.remoteAddress, {
+      country: admission.country || null,
+      asn: admission.asn || null,
+      asnOrg: admission.asnOrg || null,
+    }, () => this.cleanup('admin-disconnect'));
+    this.connectionId = this.session.id;
     this.isCleanedUp = false;
     this.detectedEncoding = 'cp437'; // Default encoding
     this.terminalType = null;
-  }
-
-  generateConnectionId() {
-    return `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+    this.pendingClientData = null; // Client data received during negotiation
+    this.replyFilter = null; // Drops client replies to negotiation resets
+    this.backend = null; // Backend pool member serving this connection
+    this.noticeShown = false; // "Connecting..." notice written while retrying
   }
 
   connect() {
-    const clientIp = this.clientSocket.remoteAddress;
-    
-    // Handle edge case where remoteAddress is undefined
-    if (!clientIp) {
-      logger.warn(`[${this.connectionId}] Connection rejected: unable to determine client IP address`);
-      // Add error handler before closing to prevent unhandled errors
-      this.clientSocket.on('error', (err) => {
-        logger.debug(`[${this.connectionId}] Client socket error during rejection: ${err.message}`);
-      });
-      this.clientSocket.end();
-      return;
-    }
-    
-    logger.info(`[${this.connectionId}] New connection from ${this.clientAddress}`);
+    const network = this.session.asn ? ` (${formatASN(this.session.asn, this.session.asnOrg)})` : '';
+    logger.event('info', 'session-start', `[${this.connectionId}] New connection from ${this.clientAddress}${network}`, {
+      session: this.session,
+    });
     
-    // Check IP filter (whitelist, blocklist, and rate limiting)
-    const ipFilter = getIPFilter();
-    let isWhitelisted = false;
+    // Disable Nagle's algorithm for better real-time performance
+    this.clientSocket.setNoDelay(true);
+    this.clientSocket.setKeepAlive(true);
     
-    if (ipFilter) {
-      const filterResult = ipFilter.shouldAllowConnection(clientIp);
-      if (!filterResult.allowed) {
-        logger.warn(`[${this.connectionId}] Connection blocked by IP filter: ${filterResult.reason}`);
-        // Add error handler before closing to prevent unhandled errors
-        this.clientSocket.on('error', (err) => {
-          logger.debug(`[${this.connectionId}] Client socket error during rejection: ${err.message}`);
+    // Negotiate with the client first so the backend port can follow its encoding
+    if (config.encodingDetection && config.telnetNegotiationTimeout > 0) {
+      this.negotiate()
+        .then(() => this.connectBackend())
+        .catch((err) => {
+          logger.error(`[${this.connectionId}] Failed to set up connection: ${err.message}`);
+          this.cleanup('error');
         });
-        this.clientSocket.end();
-        return;
-      }
-      isWhitelisted = filterResult.whitelisted || false;
+    } else {
+      this.connectBackend();
     }
-    
-    // Check country blocking (skip for whitelisted IPs)
-    if (!isWhitelisted && this.shouldBlockConnection(clientIp)) {
-      logger.warn(`[${this.connectionId}] Connection blocked by country filter`);
-      // Add error handler before closing to prevent unhandled errors
-      this.clientSocket.on('error', (err) => {
-        logger.debug(`[${this.connectionId}] Client socket error during rejection: ${err.message}`);
-      });
-      this.clientSocket.end();
+  }
+
+  async negotiate() {
+    const result = await negotiateClient(this.clientSocket, {
+      timeout: config.telnetNegotiationTimeout,
+      connectionId: this.connectionId,
+    });
+
+    if (result.closed) {
+      return;
+    }
+
+    this.terminalType = result.terminalTypes[0] || null;
+    this.detectedEncoding = detectFromTelnetNegotiation(result);
+    this.pendingClientData = result.pendingData.length > 0 ? result.pendingData : null;
+    if (result.expectedReplies.length > 0) {
+      this.replyFilter = new ReplyFilter(result.expectedReplies);
+    }
+
+    logger.info(`[${this.connectionId}] Telnet negotiation complete: encoding=${this.detectedEncoding}`, {
+      terminalTypes: result.terminalTypes,
+      charset: result.charset,
+      environment: result.environment,
+    });
+  }
+
+  connectBackend() {
+    if (this.clientSocket.destroyed) {
+      this.cleanup('client-close');
       return;
     }
     
-    // Disable Nagle's algorithm for better real-time performance
-    this.clientSocket.setNoDelay(true);
-    this.clientSocket.setKeepAlive(true);
+    this.session.encoding = this.detectedEncoding;
     
     // Determine backend port based on encoding (if detection is enabled)
     const actualBackendPort = config.encodingDetection 
@@ -86,68 +122,102 @@ class ProxyConnection {
       logger.info(`[${this.connectionId}] Using backend port ${actualBackendPort} for encoding: ${this.detectedEncoding}`);
     }
     
-    // Create connection to backend server
-    this.backendSocket = net.createConnection({
-      host: this.backendHost,
-      port: actualBackendPort,
-    }, () => {
-      const backendAddr = `${this.backendSocket.remoteAddress}:${this.backendSocket.remotePort}`;
-      const localAddr = `${this.backendSocket.localAddress}:${this.backendSocket.localPort}`;
-      logger.info(`[${this.connectionId}] Connected to backend ${backendAddr} (from ${localAddr})`);
-      // Disable Nagle's algorithm on backend socket too
-      this.backendSocket.setNoDelay(true);
-      this.backendSocket.setKeepAlive(true);
-    });
-
-    // Setup error handlers BEFORE other handlers to catch connection errors
-    this.setupErrorHandlers();
-    
-    // Setup bidirectional data flow
-    this.setupPipes();
+    // Hold client data until a backend has accepted the connection
+    this.clientSocket.pause();
+    this.setupClientHandlers();
     
-    // Setup close handlers
-    this.setupCloseHandlers();
+    // Connect through the backend pool (fails over to the next backend on
+    // error and retries the whole pool before giving up)
+    getBackendPool().connect(actualBackendPort, `[${this.connectionId}] `, {
+      onRetry: (retry) => this.showConnectingNotice(retry),
+      isAborted: () => this.isCleanedUp,
+    })
+      .then(({ socket, backend, host, port }) => {
+        if (this.isCleanedUp) {
+          socket.destroy();
+          getBackendPool().release(backend);
+          return;
+        }
+        
+        this.backend = backend;
+        this.backendSocket = socket;
+        this.session.backend = `${host}:${port}`;
+        const backendAddr = `${this.backendSocket.remoteAddress}:${this.backendSocket.remotePort}`;
+        const localAddr = `${this.backendSocket.localAddress}:${this.backendSocket.localPort}`;
+        logger.info(`[${this.connectionId}] Connected to backend ${backendAddr} (from ${localAddr})`);
+        // Disable Nagle's algorithm on backend socket too
+        this.backendSocket.setNoDelay(true);
+        this.backendSocket.setKeepAlive(true);
+        
+        this.setupBackendHandlers();
+        
+        // Finish the notice line so the BBS output starts on a fresh line
+        if (this.noticeShown) {
+          this.clientSocket.write('\r\n');
+        }
+        
+        // Setup bidirectional data flow
+        this.setupPipes();
+        
+        // Forward anything the client typed while negotiation was running
+        if (this.pendingClientData) {
+          this.session.bytesFromClient += this.pendingClientData.length;
+          this.backendSocket.write(this.pendingClientData);
+          this.pendingClientData = null;
+        }
+        
+        this.clientSocket.resume();
+      })
+      .catch((err) => {
+        if (this.isCleanedUp) {
+          return;
+        }
+        logger.error(`[${this.connectionId}] Unable to connect to any backend: ${err.message}`);
+        this.showOfflineScreen();
+      });
   }
 
-  shouldBlockConnection(ipAddress) {
-    const geoip = getGeoIP();
-    
-    // If GeoIP is not enabled, don't block
-    if (!geoip || !geoip.isEnabled) {
-      return false;
+  /**
+   * Tells the caller we're still trying: the notice on the first retry,
+   * then one more dot per retry
+   */
+  showConnectingNotice(retry) {
+    if (!config.connectingNotice || this.clientSocket.destroyed) {
+      return;
     }
-    
-    // Get country info
-    const geoInfo = geoip.getCountryInfo(ipAddress);
-    
-    // Handle unknown countries
-    if (!geoInfo || !geoInfo.countryCode) {
-      if (config.blockUnknownCountries) {
-        logger.info(`[${this.connectionId}] Blocked unknown country for IP: ${ipAddress}`);
-        return true;
-      }
-      return false;
+    const text = retry === 1 ? `\r\n${config.connectingNotice}` : '.';
+    this.clientSocket.write(escapeIAC(renderScreen(text, 'utf8', this.detectedEncoding)));
+    this.noticeShown = true;
+  }
+
+  /**
+   * Sends the offline screen in the caller's encoding, then hangs up
+   */
+  showOfflineScreen() {
+    if (this.clientSocket.destroyed) {
+      this.cleanup('backend-error');
+      return;
     }
-    
-    // Log country info
-    logger.debug(`[${this.connectionId}] Connection from ${geoInfo.countryName} (${geoInfo.countryCode})`);
-    
-    // Check if country is blocked
-    if (config.blockedCountries.length > 0) {
-      const isBlocked = config.blockedCountries.includes(geoInfo.countryCode.toUpperCase());
-      if (isBlocked) {
-        logger.info(`[${this.connectionId}] Blocked ${geoInfo.countryName} (${geoInfo.countryCode})`);
-      }
-      return isBlocked;
+    let screen = offlineScreen(this.detectedEncoding, config);
+    if (this.noticeShown) {
+      screen = Buffer.concat([Buffer.from('\r\n'), screen]);
     }
-    
-    return false;
+    this.clientSocket.end(escapeIAC(screen), () => this.cleanup('backend-offline'));
   }
 
   setupPipes() {
     // Forward data from client to backend
     this.clientSocket.on('data', (data) => {
-      this.bytesFromClient += data.length;
+      this.session.bytesFromClient += data.length;
+      if (this.replyFilter) {
+        data = this.replyFilter.filter(data);
+        if (!this.replyFilter.active) {
+          this.replyFilter = null;
+        }
+        if (data.length === 0) {
+          return;
+        }
+      }
       const preview = data.toString('hex').substring(0, 60);
       logger.debug(`[${this.connectionId}] Client → Backend: ${data.length} bytes [${preview}${data.length > 30 ? '...' : ''}]`);
       if (this.backendSocket && !this.backendSocket.destroyed) {
@@ -164,7 +234,7 @@ class ProxyConnection {
 
     // Forward data from backend to client
     this.backendSocket.on('data', (data) => {
-      this.bytesFromBackend += data.length;
+      this.session.bytesFromBackend += data.length;
       const preview = data.toString('hex').substring(0, 60);
       logger.debug(`[${this.connectionId}] Backend → Client: ${data.length} bytes [${preview}${data.length > 30 ? '...' : ''}]`);
       if (this.clientSocket && !this.clientSocket.destroyed) {
@@ -180,23 +250,23 @@ class ProxyConnection {
     });
   }
 
-  setupErrorHandlers() {
+  setupClientHandlers() {
     this.clientSocket.on('error', (err) => {
       logger.error(`[${this.connectionId}] Client socket error: ${err.message}`);
       this.cleanup('client-error');
     });
 
-    this.backendSocket.on('error', (err) => {
-      logger.error(`[${this.connectionId}] Backend socket error: ${err.message}`);
-      this.cleanup('backend-error');
-    });
-  }
-
-  setupCloseHandlers() {
     this.clientSocket.on('close', (hadError) => {
       logger.debug(`[${this.connectionId}] Client socket closed (hadError: ${hadError})`);
       this.cleanup('client-close');
     });
+  }
+
+  setupBackendHandlers() {
+    this.backendSocket.on('error', (err) => {
+      logger.error(`[${this.connectionId}] Backend socket error: ${err.message}`);
+      this.cleanup('backend-error');
+    });
 
     this.backendSocket.on('close', (hadError) => {
       logger.debug(`[${this.connectionId}] Backend socket closed (hadError: ${hadError})`);
@@ -210,7 +280,10 @@ class ProxyConnection {
     }
     this.isCleanedUp = true;
     
-    logger.info(`[${this.connectionId}] Connection closed (reason: ${reason}). Bytes: client→backend=${this.bytesFromClient}, backend→client=${this.bytesFromBackend}`);
+    logger.event('info', 'session-end', `[${this.connectionId}] Connection closed (reason: ${reason}). Bytes: client→backend=${this.session.bytesFromClient}, backend→client=${this.session.bytesFromBackend}`, {
+      session: this.session,
+      reason,
+    });
     
     if (this.clientSocket && !this.clientSocket.destroyed) {
       this.clientSocket.destroy();
@@ -219,15 +292,23 @@ class ProxyConnection {
     if (this.backendSocket && !this.backendSocket.destroyed) {
       this.backendSocket.destroy();
     }
+    
+    if (this.backend) {
+      getBackendPool().release(this.backend);
+      this.backend = null;
+    }
+    
+    getSessionRegistry().end(this.session, reason);
   }
 }
 
-function handleConnection(clientSocket, backendHost, backendPort) {
-  const proxy = new ProxyConnection(clientSocket, backendHost, backendPort);
+function handleConnection(clientSocket, backendHost, backendPort, admission) {
+  const proxy = new ProxyConnection(clientSocket, backendHost, backendPort, admission);
   proxy.connect();
 }
 
 module.exports = {
   handleConnection,
+  rejectConnection,
 };
 
@@ -0,0 +1,311 @@
+/**
+ * Offline report from the audit trail
+ *
+ * Usage: bbsfw report [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--days N] [--top N] [--json]
+ * Summarises the sessions started and callers rejected between two days
+ * (UTC, both included; the last 7 days by default) from the files in
+ * AUDIT_DIR. Runs without the firewall, so it works on copied audit files too.
+ */
+
+const fs = require('fs');
+const { config } = require('./config');
+const { readAudit } = require('./audit');
+const { formatASN } = require('./geoip');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const USAGE = 'Usage: bbsfw report [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--days N] [--top N] [--json]';
+
+/**
+ * Parses a "YYYY-MM-DD" day
+ * @returns {number|null} Start of the day (UTC, ms) or null
+ */
+function parseDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+    return null;
+  }
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Parses the command line
+ * @returns {Object} { from, to, top, json } (from/to in ms, to exclusive)
+ */
+function parseArgs(args) {
+  const options = { from: null, to: null, days: 7, top: 10, json: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (['--from', '--to', '--days', '--top'].includes(arg) && i + 1 < args.length) {
+      options[arg.slice(2)] = args[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  const today = parseDay(new Date().toISOString().slice(0, 10));
+  const days = parseInt(options.days, 10);
+  const top = parseInt(options.top, 10);
+  if (isNaN(days) || days < 1) {
+    throw new Error('--days must be at least 1');
+  }
+  if (isNaN(top) || top < 1) {
+    throw new Error('--top must be at least 1');
+  }
+
+  const to = options.to === null ? today : parseDay(options.to);
+  if (to === null) {
+    throw new Error(`Invalid --to day: ${options.to}`);
+  }
+  const from = options.from === null ? to - (days - 1) * DAY : parseDay(options.from);
+  if (from === null) {
+    throw new Error(`Invalid --from day: ${options.from}`);
+  }
+  if (from > to) {
+    throw new Error('--from must not be after --to');
+  }
+
+  return { from, to: to + DAY, top, json: options.json };
+}
+
+/**
+ * Counts values and returns the most common
+ * @returns {Array} [{ value, count }], largest count first
+ */
+function countTop(values, top) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+    .slice(0, top);
+}
+
+/**
+ * Picks one value of an attribute for each key, e.g. the country of each IP.
+ * GeoIP data can change over a report's range, so the value seen in the
+ * most sessions wins, and ties go to the later session; missing values are
+ * only used if there is nothing else.
+ * @param {Array} sessions - Sessions in the order they started
+ * @returns {Map} key => value
+ */
+function usualValues(sessions, keyName, valueName) {
+  const seen = new Map(); // key => Map(value => { count, last })
+  sessions.forEach((session, index) => {
+    const key = session[keyName];
+    if (!seen.has(key)) {
+      seen.set(key, new Map());
+    }
+    const values = seen.get(key);
+    const value = session[valueName] === undefined ? null : session[valueName];
+    const entry = values.get(value) || { count: 0, last: -1 };
+    entry.count++;
+    entry.last = index;
+    values.set(value, entry);
+  });
+
+  const usual = new Map();
+  for (const [key, values] of seen) {
+    let best = null;
+    for (const [value, entry] of values) {
+      const better = !best
+        || (best.value === null && value !== null)
+        || (value !== null && (entry.count > best.count || (entry.count === best.count && entry.last > best.last)));
+      if (better) {
+        best = { value, ...entry };
+      }
+    }
+    usual.set(key, best.value);
+  }
+  return usual;
+}
+
+/**
+ * Summarises audit records
+ * @param {Array} records - Records from readAudit()
+ * @param {number} from - Start of the range (ms)
+ * @param {number} to - End of the range (ms, exclusive)
+ * @param {number} top - Entries in the top lists
+ */
+function buildReport(records, from, to, top = 10) {
+  const inRange = (time) => time >= from && time < to;
+
+  // Open and close records of each session
+  const sessions = new Map();
+  const rejections = [];
+  for (const record of records) {
+    const time = Date.parse(record.time);
+    if (record.type === 'reject') {
+      if (inRange(time)) {
+        rejections.push(record);
+      }
+    } else if (record.type === 'open' || record.type === 'close') {
+      const session = sessions.get(record.id) || {};
+      session[record.type] = record;
+      sessions.set(record.id, session);
+    }
+  }
+
+  const started = [];
+  const intervals = [];
+  for (const { open, close } of sessions.values()) {
+    const start = close ? Date.parse(close.startedAt) : Date.parse(open.time);
+    if (inRange(start)) {
+      started.push({ ...open, ...close, closed: Boolean(close) });
+    }
+    if (close && start < to && Date.parse(close.time) > from) {
+      intervals.push([Math.max(start, from), Math.min(Date.parse(close.time), to)]);
+    }
+  }
+
+  // Peak concurrent sessions: walk the starts and ends in time order (an end
+  // at the same moment as a start goes first)
+  const changes = [];
+  for (const [start, end] of intervals) {
+    changes.push([start, 1], [end, -1]);
+  }
+  changes.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let current = 0;
+  const peak = { sessions: 0, at: null };
+  for (const [time, change] of changes) {
+    current += change;
+    if (current > peak.sessions) {
+      peak.sessions = current;
+      peak.at = new Date(time).toISOString();
+    }
+  }
+
+  const closed = started.filter(session => session.closed);
+  const totalDuration = closed.reduce((sum, session) => sum + session.durationMs, 0);
+  const byIP = countTop(started.map(session => session.ip), top);
+  started.sort((a, b) => Date.parse(a.startedAt || a.time) - Date.parse(b.startedAt || b.time));
+  const countryOf = usualValues(started, 'ip', 'country');
+  const orgOf = usualValues(started, 'asn', 'asnOrg');
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    sessions: {
+      total: started.length,
+      telnet: started.filter(session => session.protocol === 'telnet').length,
+      ssh: started.filter(session => session.protocol === 'ssh').length,
+      // No close record: still running, or the firewall stopped without a shutdown
+      unfinished: started.length - closed.length,
+    },
+    uniqueCallers: new Set(started.map(session => session.ip)).size,
+    averageSessionMs: closed.length > 0 ? Math.round(totalDuration / closed.length) : null,
+    peakConcurrent: peak,
+    topCountries: countTop(started.map(session => session.country || null), top)
+      .map(({ value, count }) => ({ country: value, sessions: count })),
+    topIPs: byIP.map(({ value, count }) => ({ ip: value, country: countryOf.get(value) || null, sessions: count })),
+    // Needs the GeoLite2-ASN database
+    topNetworks: countTop(started.filter(session => session.asn).map(session => session.asn), top)
+      .map(({ value, count }) => ({ asn: value, organization: orgOf.get(value) || null, sessions: count })),
+    closeReasons: countTop(closed.map(session => session.reason || null), Infinity)
+      .map(({ value, count }) => ({ reason: value, sessions: count })),
+    rejections: {
+      total: rejections.length,
+      uniqueIPs: new Set(rejections.map(rejection => rejection.ip)).size,
+      byReason: countTop(rejections.map(rejection => rejection.code), Infinity)
+        .map(({ value, count }) => ({ code: value, count })),
+      topIPs: countTop(rejections.map(rejection => rejection.ip), top)
+        .map(({ value, count }) => ({ ip: value, count })),
+    },
+  };
+}
+
+function formatDuration(ms) {
+  if (ms === null) {
+    return '-';
+  }
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  }
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Formats a top list as indented "count  label" lines
+ */
+function formatList(title, rows) {
+  const lines = [`${title}:`];
+  if (rows.length === 0) {
+    lines.push('  (none)');
+  }
+  for (const [count, label] of rows) {
+    lines.push(`  ${String(count).padStart(7)}  ${label}`);
+  }
+  return lines.join('\n');
+}
+
+function formatReport(report) {
+  const lastDay = new Date(Date.parse(report.to) - DAY).toISOString().slice(0, 10);
+  const { sessions, rejections, peakConcurrent } = report;
+
+  return [
+    `bbsfw report ${report.from.slice(0, 10)} to ${lastDay} (UTC)`,
+    '',
+    `Sessions:           ${sessions.total} (telnet ${sessions.telnet}, ssh ${sessions.ssh}` +
+      `${sessions.unfinished > 0 ? `, ${sessions.unfinished} without a close record` : ''})`,
+    `Unique callers:     ${report.uniqueCallers}`,
+    `Average session:    ${formatDuration(report.averageSessionMs)}`,
+    `Peak concurrent:    ${peakConcurrent.sessions}` +
+      `${peakConcurrent.at ? ` at ${peakConcurrent.at.slice(0, 16).replace('T', ' ')}` : ''}`,
+    `Rejections:         ${rejections.total} from ${rejections.uniqueIPs} IPs`,
+    '',
+    formatList('Top countries', report.topCountries.map(row => [row.sessions, row.country || 'unknown'])),
+    '',
+    formatList('Top IPs', report.topIPs.map(row => [row.sessions, `${row.ip}${row.country ? ` (${row.country})` : ''}`])),
+    '',
+    formatList('Top networks', report.topNetworks.map(row => [row.sessions, formatASN(row.asn, row.organization)])),
+    '',
+    formatList('Sessions by close reason', report.closeReasons.map(row => [row.sessions, row.reason || 'unknown'])),
+    '',
+    formatList('Rejections by reason', rejections.byReason.map(row => [row.count, row.code])),
+    '',
+    formatList('Most rejected IPs', rejections.topIPs.map(row => [row.count, row.ip || 'unknown'])),
+  ].join('\n');
+}
+
+/**
+ * Runs `bbsfw report`
+ * @param {Array} args - Command line arguments after "report"
+ */
+function runReport(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (!config.auditDir || !fs.existsSync(config.auditDir)) {
+    console.error(`No audit trail found${config.auditDir ? ` in ${config.auditDir}` : ' (AUDIT_DIR is empty)'}`);
+    process.exit(1);
+  }
+
+  const { records, invalid } = readAudit(config.auditDir, new Date(options.from).toISOString().slice(0, 10));
+  if (invalid > 0) {
+    console.error(`Skipped ${invalid} unreadable audit lines`);
+  }
+
+  const report = buildReport(records, options.from, options.to, options.top);
+  console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+}
+
+module.exports = {
+  runReport,
+  parseArgs,
+  buildReport,
+};
@@ -0,0 +1,236 @@
+/**
+ * Text screens sent to callers by bbsfw itself (the offline screen and
+ * rejection screens). Screens are plain ASCII, ANSI art or UTF-8 files,
+ * converted to the caller's detected encoding before they are sent
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { getGeoIP } = require('./geoip');
+
+// Unicode characters for CP437 bytes 0x80-0xFF
+const CP437_HIGH = [
+  'Ç', 'ü', 'é', 'â', 'ä', 'à', 'å', 'ç', 'ê', 'ë', 'è', 'ï', 'î', 'ì', 'Ä', 'Å',
+  'É', 'æ', 'Æ', 'ô', 'ö', 'ò', 'û', 'ù', 'ÿ', 'Ö', 'Ü', '¢', '£', '¥', '₧', 'ƒ',
+  'á', 'í', 'ó', 'ú', 'ñ', 'Ñ', 'ª', 'º', '¿', '⌐', '¬', '½', '¼', '¡', '«', '»',
+  '░', '▒', '▓', '│', '┤', '╡', '╢', '╖', '╕', '╣', '║', '╗', '╝', '╜', '╛', '┐',
+  '└', '┴', '┬', '├', '─', '┼', '╞', '╟', '╚', '╔', '╩', '╦', '╠', '═', '╬', '╧',
+  '╨', '╤', '╥', '╙', '╘', '╒', '╓', '╫', '╪', '┘', '┌', '█', '▄', '▌', '▐', '▀',
+  'α', 'ß', 'Γ', 'π', 'Σ', 'σ', 'µ', 'τ', 'Φ', 'Θ', 'Ω', 'δ', '∞', 'φ', 'ε', '∩',
+  '≡', '±', '≥', '≤', '⌠', '⌡', '÷', '≈', '°', '∙', '·', '√', 'ⁿ', '²', '■', ' ',
+];
+
+const CP437_REVERSE = new Map(CP437_HIGH.map((char, index) => [char, 0x80 + index]));
+
+const DEFAULT_OFFLINE_SCREEN = '\r\nThe BBS is offline right now. Please try again later.\r\n\r\n';
+
+/**
+ * Converts CP437 bytes to UTF-8
+ * Bytes below 0x80 (including ANSI escape sequences) are passed through.
+ */
+function cp437ToUtf8(buffer) {
+  let text = '';
+  for (const byte of buffer) {
+    text += byte < 0x80 ? String.fromCharCode(byte) : CP437_HIGH[byte - 0x80];
+  }
+  return Buffer.from(text, 'utf8');
+}
+
+/**
+ * Converts UTF-8 text to CP437, replacing characters CP437 lacks with '?'
+ */
+function utf8ToCP437(buffer) {
+  const bytes = [];
+  for (const char of buffer.toString('utf8')) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else {
+      bytes.push(CP437_REVERSE.get(char) || 0x3f);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Converts a screen from the encoding it was written in to the caller's
+ * encoding, and turns bare LF line endings into CRLF
+ * @param {Buffer|string} screen - Screen contents (strings are treated as UTF-8)
+ * @param {string} sourceEncoding - 'utf8' or 'cp437'
+ * @param {string} targetEncoding - 'utf8' or 'cp437'
+ * @returns {Buffer} Bytes ready to send
+ */
+function renderScreen(screen, sourceEncoding, targetEncoding) {
+  let data = Buffer.isBuffer(screen) ? screen : Buffer.from(screen, 'utf8');
+  if (!Buffer.isBuffer(screen)) {
+    sourceEncoding = 'utf8';
+  }
+
+  if (sourceEncoding === 'cp437' && targetEncoding === 'utf8') {
+    data = cp437ToUtf8(data);
+  } else if (sourceEncoding === 'utf8' && targetEncoding === 'cp437') {
+    data = utf8ToCP437(data);
+  }
+
+  const bytes = [];
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] === 0x0a && data[i - 1] !== 0x0d) {
+      bytes.push(0x0d);
+    }
+    bytes.push(data[i]);
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Reduces a screen to plain text for places that can't show ANSI, such as
+ * SSH login prompts: escape sequences and control characters other than
+ * tab and line breaks are removed
+ * @param {Buffer|string} screen - UTF-8 screen
+ * @returns {string} Plain text
+ */
+function plainText(screen) {
+  return screen.toString('utf8')
+    .replace(/\x1b\[[0-?]*[ -/]*[@-~]/g, '')
+    .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?/g, '')
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f]/g, '');
+}
+
+// Screen files already read, by absolute path (null if the read failed)
+const screenCache = new Map();
+
+/**
+ * Reads a screen file, or returns it from the cache
+ * Files are read once, so a flood of rejected callers doesn't turn into a
+ * flood of disk reads; clearScreenCache() makes the next use read them again.
+ * @returns {Buffer|null} File contents, or null if it can't be read
+ */
+function loadScreen(filePath, description) {
+  const resolved = path.resolve(filePath);
+  if (screenCache.has(resolved)) {
+    return screenCache.get(resolved);
+  }
+
+  let screen = null;
+  try {
+    screen = fs.readFileSync(resolved);
+  } catch (err) {
+    logger.warn(`Failed to read ${description} screen ${resolved}: ${err.message}`);
+  }
+  screenCache.set(resolved, screen);
+  return screen;
+}
+
+/**
+ * Forgets the screen files read so far (on a configuration reload), so
+ * edited screens are picked up
+ */
+function clearScreenCache() {
+  screenCache.clear();
+}
+
+/**
+ * Builds the screen shown when no backend can be reached
+ * @param {string} encoding - Caller's encoding ('utf8' or 'cp437')
+ * @param {Object} config - Configuration object
+ * @returns {Buffer} Screen bytes in the caller's encoding
+ */
+function offlineScreen(encoding, config) {
+  const screen = config.offlineScreenPath ? loadScreen(config.offlineScreenPath, 'offline') : null;
+  if (!screen) {
+    return renderScreen(DEFAULT_OFFLINE_SCREEN, 'utf8', encoding);
+  }
+  return renderScreen(screen, config.screenEncoding, encoding);
+}
+
+/**
+ * Fills in {{name}} placeholders; unknown names are left as they are
+ * @param {string} text - Template text
+ * @param {Object} variables - Placeholder values
+ * @returns {string} Filled-in text
+ */
+function fillTemplate(text, variables) {
+  return text.replace(/\{\{\s*([a-z_]+)\s*\}\}/gi, (match, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name.toLowerCase())
+      ? String(variables[name.toLowerCase()])
+      : match
+  ));
+}
+
+/**
+ * Builds the template variables for a rejected caller
+ * @param {string} code - Rejection reason: blocklist, ratelimit, country, asn,
+ *   unknown-ip, session-limit or max-connections
+ * @param {Object} details - { ip, reason, blockedUntil }
+ */
+function rejectionVariables(code, details) {
+  const ip = (details.ip || 'unknown').replace(/^::ffff:/i, '');
+  const geoip = getGeoIP();
+  const geoInfo = geoip && geoip.isEnabled && details.ip ? geoip.getCountryInfo(details.ip) : null;
+  const asnInfo = geoip && geoip.isASNEnabled && details.ip ? geoip.lookupASN(details.ip) : null;
+
+  let unblockTime = '';
+  let unblockIn = '';
+  if (details.blockedUntil) {
+    const minutes = Math.max(1, Math.ceil((details.blockedUntil - Date.now()) / 60000));
+    unblockTime = `${new Date(details.blockedUntil).toISOString().replace('T', ' ').substring(0, 16)} UTC`;
+    unblockIn = `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  } else if (code === 'blocklist' || code === 'country' || code === 'asn') {
+    unblockTime = 'never';
+    unblockIn = 'never';
+  }
+
+  return {
+    ip,
+    country: (geoInfo && geoInfo.countryName) || 'Unknown',
+    country_code: (geoInfo && geoInfo.countryCode) || '??',
+    asn: asnInfo ? `AS${asnInfo.asn}` : 'unknown',
+    asn_org: (asnInfo && asnInfo.organization) || 'Unknown',
+    reason: details.reason || code,
+    unblock_time: unblockTime,
+    unblock_in: unblockIn,
+  };
+}
+
+/**
+ * Returns the screen file configured for a rejection reason, if any
+ */
+function rejectionScreenPath(code, config) {
+  return config.rejectScreens[code] || config.rejectScreens.default || '';
+}
+
+/**
+ * Builds the screen shown to a rejected caller
+ * @param {string} code - Rejection reason
+ * @param {Object} details - { ip, reason, blockedUntil }
+ * @param {string} encoding - Caller's encoding ('utf8' or 'cp437')
+ * @param {Object} config - Configuration object
+ * @returns {Buffer|null} Screen bytes, or null if no screen is configured
+ */
+function rejectionScreen(code, details, encoding, config) {
+  const screenPath = rejectionScreenPath(code, config);
+  const screen = screenPath ? loadScreen(screenPath, `${code} rejection`) : null;
+  if (!screen) {
+    return null;
+  }
+
+  // Fill in the template as text, then encode it for the caller
+  const text = config.screenEncoding === 'cp437'
+    ? cp437ToUtf8(screen).toString('utf8')
+    : screen.toString('utf8');
+  return renderScreen(fillTemplate(text, rejectionVariables(code, details)), 'utf8', encoding);
+}
+
+module.exports = {
+  cp437ToUtf8,
+  utf8ToCP437,
+  renderScreen,
+  plainText,
+  loadScreen,
+  clearScreenCache,
+  offlineScreen,
+  fillTemplate,
+  rejectionScreenPath,
+  rejectionScreen,
+};
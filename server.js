@@ -3,21 +3,49 @@
 /**
  * BBS Firewall (bbsfw)
  * TCP proxy server for telnet connections
+ *
+ * Usage: bbsfw            starts the firewall
+ *        bbsfw report     prints a report from the audit trail (see report.js)
  */
 
+// Keep report output clean so it can be piped (e.g. --json into jq)
+if (process.argv[2] === 'report') {
+  process.env.DOTENV_CONFIG_QUIET = 'true';
+}
+
+const fs = require('fs');
 const net = require('net');
-const { config, validateConfig } = require('./config');
+const path = require('path');
+const { config, validateConfig, reloadConfig, ENV_FILE } = require('./config');
 const logger = require('./logger');
-const { handleConnection } = require('./proxy');
+const { handleConnection, rejectConnection } = require('./proxy');
 const { initializeGeoIP } = require('./geoip');
-const { initializeIPFilter } = require('./ipfilter');
+const { initializeIPFilter, getIPFilter } = require('./ipfilter');
+const { initializeThreatFeeds, getThreatFeeds } = require('./threat-feeds');
+const { initializeBackendPool, getBackendPool } = require('./backend-pool');
+const { initializeWaitingRoom } = require('./waiting-room');
+const { initializeSessionRegistry } = require('./sessions');
+const { initializeAuditLog, getAuditLog } = require('./audit');
+const { runReport } = require('./report');
+const { clearScreenCache } = require('./screens');
 const { startSSHServer } = require('./ssh');
+const { startAdminAPI } = require('./admin-api');
+const { startDashboard } = require('./dashboard');
+const { startMetrics } = require('./metrics');
+
+// How often watched files are checked for changes (ms)
+const FILE_WATCH_INTERVAL = 2000;
 
 class BBSFirewall {
   constructor() {
     this.server = null;
     this.sshServer = null;
-    this.activeConnections = 0;
+    this.adminServer = null;
+    this.dashboard = null;
+    this.metricsServer = null;
+    this.watchedFiles = [];
+    this.sessions = null;
+    this.waitingRoom = null;
   }
 
   async start() {
@@ -25,17 +53,41 @@ class BBSFirewall {
       validateConfig();
     } catch (err) {
       logger.error('Configuration error:', err.message);
-      process.exit(1);
+      logger.close(() => process.exit(1));
+      return;
     }
 
     logger.info('Starting BBS Firewall...');
     
-    // Initialize GeoIP database
-    await initializeGeoIP();
+    // Initialize GeoIP databases (country, and ASN if present)
+    await initializeGeoIP(config);
     
     // Initialize IP filter
     initializeIPFilter(config);
     
+    // Load threat feeds into the blocklist (refreshed in the background)
+    initializeThreatFeeds(config);
+    
+    // Initialize backend pool
+    initializeBackendPool(config);
+    
+    // Initialize session registry (admission policy and limits for telnet and SSH)
+    this.sessions = initializeSessionRegistry(config);
+    
+    // Initialize waiting room (holds callers while all nodes are busy)
+    this.waitingRoom = initializeWaitingRoom(config);
+    
+    // Record sessions and rejections in the audit trail (AUDIT_DIR)
+    initializeAuditLog(config);
+    
+    // Hand each freed node to the next caller in the waiting room
+    this.sessions.on('session-end', (session) => {
+      this.waitingRoom.recordSessionLength(Date.now() - session.startedAt);
+      if (this.sessions.hasCapacity()) {
+        this.waitingRoom.slotFreed();
+      }
+    });
+    
     const configLog = {
       listenPort: config.listenPort,
       backendHost: config.backendHost,
@@ -44,11 +96,16 @@ class BBSFirewall {
       blockedCountries: config.blockedCountries.length > 0 
         ? config.blockedCountries.join(', ') 
         : 'none',
+      blockedASNs: config.blockedASNs.length > 0 ? config.blockedASNs.map(asn => `AS${asn}`).join(', ') : 'none',
+      blockedASNOrgs: config.blockedASNOrgs.length > 0 ? config.blockedASNOrgs.join(', ') : 'none',
       rateLimitEnabled: config.rateLimitEnabled,
       maxConnectionsPerWindow: config.maxConnectionsPerWindow,
       rateLimitWindowMs: `${config.rateLimitWindowMs}ms`,
       blocklistPath: config.blocklistPath || 'none',
       sshEnabled: config.sshEnabled,
+      adminApiEnabled: config.adminApiEnabled,
+      dashboardEnabled: config.dashboardEnabled,
+      metricsEnabled: config.metricsEnabled,
     };
     
     if (config.sshEnabled) {
@@ -66,7 +123,7 @@ class BBSFirewall {
       logger.error('Server error:', err.message);
       if (err.code === 'EADDRINUSE') {
         logger.error(`Port ${config.listenPort} is already in use`);
-        process.exit(1);
+        logger.close(() => process.exit(1));
       }
     });
 
@@ -76,22 +133,83 @@ class BBSFirewall {
     });
 
     // Start SSH server if enabled
-    this.sshServer = startSSHServer(config, this);
+    this.sshServer = startSSHServer(config);
+    
+    // Start management API if enabled
+    this.adminServer = startAdminAPI(config);
+    
+    // Start web dashboard if enabled
+    this.dashboard = startDashboard(config);
+    
+    // Start Prometheus metrics endpoint if enabled
+    this.metricsServer = startMetrics(config);
     
     this.setupGracefulShutdown();
+    this.setupReload();
   }
 
   handleNewConnection(clientSocket) {
-    // Check max connections limit
-    if (this.activeConnections >= config.maxConnections) {
-      logger.warn(`Connection rejected: max connections (${config.maxConnections}) reached`);
-      clientSocket.end();
+    const clientIp = clientSocket.remoteAddress;
+    
+    // Add error handler early to prevent unhandled errors during rejection
+    clientSocket.on('error', (err) => {
+      logger.debug(`Client socket error for ${clientIp}: ${err.message}`);
+    });
+    
+    // Check IP filter (whitelist, blocklist, rate limiting), country and ASN blocking
+    const admission = this.sessions.checkAdmission(clientIp);
+    if (!admission.allowed) {
+      this.sessions.recordRejection('telnet', clientIp, admission.code, admission.reason);
+      rejectConnection(clientSocket, admission.code, {
+        ip: clientIp,
+        reason: admission.reason,
+        blockedUntil: admission.blockedUntil,
+      });
       return;
     }
+    
+    // Check max connections limit (shared with SSH sessions)
+    if (!this.sessions.hasCapacity()) {
+      // Hold the caller in the waiting room if there's space in line
+      if (this.waitingRoom.enqueue(clientSocket, {
+        admit: (socket) => this.admitFromQueue(socket),
+        expire: (socket) => this.rejectBusy(socket),
+      })) {
+        return;
+      }
 
-    this.activeConnections++;
-    logger.debug(`Active connections: ${this.activeConnections}`);
+      this.rejectBusy(clientSocket);
+      return;
+    }
+
+    this.admitConnection(clientSocket, admission);
+  }
+
+  /**
+   * Connects a caller from the waiting room
+   * The caller may have been banned (admin API, blocklist reload, threat feed
+   * refresh) or gone over the session limits while it waited, so the whole
+   * admission policy is checked again.
+   * @returns {boolean} False if the caller was turned away
+   */
+  admitFromQueue(clientSocket) {
+    const clientIp = clientSocket.remoteAddress;
+    const admission = this.sessions.checkAdmission(clientIp, false);
+    if (!admission.allowed) {
+      this.sessions.recordRejection('telnet', clientIp, admission.code, admission.reason);
+      rejectConnection(clientSocket, admission.code, {
+        ip: clientIp,
+        reason: admission.reason,
+        blockedUntil: admission.blockedUntil,
+      });
+      return false;
+    }
 
+    this.admitConnection(clientSocket, admission);
+    return true;
+  }
+
+  admitConnection(clientSocket, admission) {
     // Set connection timeout
     if (config.connectionTimeout > 0) {
       clientSocket.setTimeout(config.connectionTimeout);
@@ -101,20 +219,124 @@ class BBSFirewall {
       });
     }
 
-    // Handle the proxy connection
-    handleConnection(clientSocket, config.backendHost, config.backendPort);
+    // Handle the proxy connection (registers the session)
+    handleConnection(clientSocket, config.backendHost, config.backendPort, admission);
+  }
 
-    // Track connection close
-    clientSocket.on('close', () => {
-      this.activeConnections--;
-      logger.debug(`Active connections: ${this.activeConnections}`);
+  rejectBusy(clientSocket) {
+    const reason = `All ${config.maxConnections} nodes are busy`;
+    this.sessions.recordRejection('telnet', clientSocket.remoteAddress, 'max-connections', reason);
+    rejectConnection(clientSocket, 'max-connections', {
+      ip: clientSocket.remoteAddress,
+      reason,
     });
   }
 
+  setupReload() {
+    process.on('SIGHUP', () => {
+      logger.info('SIGHUP received, reloading configuration');
+      this.reload();
+    });
+
+    this.watchFiles();
+  }
+
+  /**
+   * Reloads .env, the blocklist and the whitelist
+   * New settings apply to new connections; open sessions are left alone. If
+   * the new configuration is invalid, the current one (and the current
+   * lists) stay in effect.
+   */
+  reload() {
+    try {
+      const { changed, restartRequired } = reloadConfig();
+      logger.info(changed.length > 0
+        ? `Configuration reloaded, changed: ${changed.join(', ')}`
+        : 'Configuration reloaded, no changes');
+      if (restartRequired.length > 0) {
+        logger.warn(`Restart bbsfw to apply: ${restartRequired.join(', ')}`);
+      }
+
+      if (['backends', 'backendStrategy', 'healthCheckInterval'].some((key) => changed.includes(key))) {
+        getBackendPool().reconfigure();
+      }
+      if (['queueMaxLength', 'queueUpdateInterval'].some((key) => changed.includes(key))) {
+        this.waitingRoom.reconfigure();
+      }
+      if (changed.includes('threatFeeds')) {
+        getThreatFeeds().reconfigure();
+      }
+      // Screen files may have been edited, even if their paths haven't changed
+      clearScreenCache();
+
+      // A higher MAX_CONNECTIONS may let waiting callers in straight away
+      while (this.sessions.hasCapacity() && this.waitingRoom.slotFreed()) {
+        // slotFreed() admits one caller per call
+      }
+    } catch (err) {
+      // The lists are left alone too, so nothing changes until the error is fixed
+      logger.error(`Configuration reload failed, keeping the current configuration and lists: ${err.message}`);
+      return;
+    }
+
+    const ipFilter = getIPFilter();
+    ipFilter.reloadWhitelist();
+    ipFilter.reloadBlocklist();
+
+    // The list paths may have changed
+    this.watchFiles();
+  }
+
+  /**
+   * Watches .env and the list files, reloading when they change
+   * (unless RELOAD_ON_CHANGE=false)
+   */
+  watchFiles() {
+    for (const file of this.watchedFiles) {
+      fs.unwatchFile(file);
+    }
+    this.watchedFiles = [];
+
+    if (!config.reloadOnChange) {
+      return;
+    }
+
+    const watch = (file, description, onChange) => {
+      const fullPath = path.resolve(file);
+      fs.watchFile(fullPath, { persistent: false, interval: FILE_WATCH_INTERVAL }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+          return;
+        }
+        logger.info(`${description} ${fullPath} changed, reloading`);
+        onChange();
+      });
+      this.watchedFiles.push(fullPath);
+    };
+
+    watch(ENV_FILE, 'Configuration file', () => this.reload());
+    if (config.blocklistPath) {
+      watch(config.blocklistPath, 'Blocklist', () => getIPFilter().reloadBlocklist());
+    }
+    if (config.whitelistPath) {
+      watch(config.whitelistPath, 'Whitelist', () => getIPFilter().reloadWhitelist());
+    }
+  }
+
   setupGracefulShutdown() {
     const shutdown = () => {
       logger.info('Shutting down gracefully...');
       
+      this.waitingRoom.shutdown();
+      getIPFilter().shutdown();
+      getThreatFeeds().shutdown();
+      const auditClosed = new Promise(resolve => getAuditLog().shutdown(resolve));
+
+      // Audit records and log lines are written asynchronously, so let them
+      // reach the disk before exiting
+      const exit = (code) => {
+        auditClosed.then(() => logger.close(() => process.exit(code)));
+      };
+      
       let serversToClose = 0;
       let serversClosed = 0;
       
@@ -124,7 +346,7 @@ class BBSFirewall {
           logger.info('Telnet server closed');
           serversClosed++;
           if (serversClosed === serversToClose) {
-            process.exit(0);
+            exit(0);
           }
         });
       }
@@ -135,19 +357,52 @@ class BBSFirewall {
           logger.info('SSH server closed');
           serversClosed++;
           if (serversClosed === serversToClose) {
-            process.exit(0);
+            exit(0);
+          }
+        });
+      }
+      
+      if (this.adminServer) {
+        serversToClose++;
+        this.adminServer.close(() => {
+          logger.info('Management API closed');
+          serversClosed++;
+          if (serversClosed === serversToClose) {
+            exit(0);
+          }
+        });
+      }
+      
+      if (this.dashboard) {
+        serversToClose++;
+        this.dashboard.close(() => {
+          logger.info('Dashboard closed');
+          serversClosed++;
+          if (serversClosed === serversToClose) {
+            exit(0);
+          }
+        });
+      }
+      
+      if (this.metricsServer) {
+        serversToClose++;
+        this.metricsServer.close(() => {
+          logger.info('Metrics server closed');
+          serversClosed++;
+          if (serversClosed === serversToClose) {
+            exit(0);
           }
         });
       }
       
       if (serversToClose === 0) {
-        process.exit(0);
+        exit(0);
       }
 
       // Force shutdown after 10 seconds
       setTimeout(() => {
         logger.warn('Forcing shutdown');
-        process.exit(1);
+        exit(1);
       }, 10000);
     };
 
@@ -158,8 +413,12 @@ class BBSFirewall {
 
 // Start the firewall
 if (require.main === module) {
-  const firewall = new BBSFirewall();
-  firewall.start();
+  if (process.argv[2] === 'report') {
+    runReport(process.argv.slice(3));
+  } else {
+    const firewall = new BBSFirewall();
+    firewall.start();
+  }
 }
 
 module.exports = BBSFirewall;
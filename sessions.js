@@ -0,0 +1,363 @@
+/**
+ * Session registry shared by the telnet and SSH front ends
+ * Applies one admission policy (IP filter, country and ASN blocking, per-IP
+ * and per-subnet session limits, MAX_CONNECTIONS) to every entry point and
+ * tracks each live session
+ */
+
+const EventEmitter = require('events');
+const logger = require('./logger');
+const { getGeoIP, formatASN } = require('./geoip');
+const { getIPFilter } = require('./ipfilter');
+const { getWaitingRoom } = require('./waiting-room');
+const { canonicalIP, subnetOf } = require('./ip-ranges');
+
+/**
+ * Turns a BLOCKED_ASN_ORGS pattern into a regular expression: the whole
+ * name must match, case insensitive, with * matching anything
+ */
+function orgPattern(rule) {
+  const source = rule.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+class SessionRegistry extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.sessions = new Map(); // id -> session
+    this.disconnectHandlers = new Map(); // id -> function that closes the session
+  }
+
+  generateId() {
+    return `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  }
+
+  /**
+   * Decides whether a caller may connect (capacity is checked separately,
+   * see hasCapacity(), so callers can be queued instead)
+   * @param {string} ip - Caller's IP address
+   * @param {boolean} recordAttempt - False when checking a caller again, so
+   *   it isn't counted twice for rate limiting
+   * @returns {Object} { allowed, whitelisted, country, asn, asnOrg } or
+   *   { allowed: false, code, reason, blockedUntil } (code names the rejection screen)
+   */
+  checkAdmission(ip, recordAttempt = true) {
+    if (!ip) {
+      return { allowed: false, code: 'unknown-ip', reason: 'Unable to determine IP address' };
+    }
+
+    // Whitelist, blocklist and rate limiting
+    const ipFilter = getIPFilter();
+    let whitelisted = false;
+    if (ipFilter) {
+      const filterResult = ipFilter.shouldAllowConnection(ip, recordAttempt);
+      if (!filterResult.allowed) {
+        return {
+          allowed: false,
+          code: filterResult.code,
+          reason: filterResult.reason,
+          blockedUntil: filterResult.blockedUntil,
+        };
+      }
+      whitelisted = filterResult.whitelisted || false;
+    }
+
+    // Country blocking (skipped for whitelisted IPs)
+    const geoInfo = this.lookupCountry(ip);
+    if (!whitelisted && this.isCountryBlocked(ip, geoInfo)) {
+      return { allowed: false, code: 'country', reason: 'Country blocked' };
+    }
+
+    // Network (ASN) blocking (skipped for whitelisted IPs)
+    const asnInfo = this.lookupASN(ip);
+    if (!whitelisted && this.isASNBlocked(ip, asnInfo)) {
+      return {
+        allowed: false,
+        code: 'asn',
+        reason: `Network blocked (${formatASN(asnInfo.asn, asnInfo.organization)})`,
+      };
+    }
+
+    // Concurrent sessions per IP and per subnet (skipped for whitelisted IPs)
+    if (!whitelisted) {
+      const limitResult = this.checkSessionLimits(ip);
+      if (limitResult) {
+        return limitResult;
+      }
+    }
+
+    return {
+      allowed: true,
+      whitelisted,
+      country: geoInfo ? geoInfo.countryCode : null,
+      asn: asnInfo ? asnInfo.asn : null,
+      asnOrg: asnInfo ? asnInfo.organization : null,
+    };
+  }
+
+  /**
+   * Checks MAX_SESSIONS_PER_IP and MAX_SESSIONS_PER_SUBNET
+   * Callers in the waiting room count too, so one address can't fill the
+   * queue and be let in past the limits later.
+   * @returns {Object|null} Rejection, or null if the caller is within the limits
+   */
+  checkSessionLimits(ip) {
+    const { maxSessionsPerIP, maxSessionsPerSubnet, subnetPrefixIPv4, subnetPrefixIPv6 } = this.config;
+    if (maxSessionsPerIP <= 0 && maxSessionsPerSubnet <= 0) {
+      return null;
+    }
+
+    const cleanIp = canonicalIP(ip) || ip;
+    const subnet = subnetOf(ip, subnetPrefixIPv4, subnetPrefixIPv6);
+    const waitingRoom = getWaitingRoom();
+    const addresses = Array.from(this.sessions.values(), session => session.ip)
+      .concat(waitingRoom ? waitingRoom.queuedIPs() : []);
+    let ipSessions = 0;
+    let subnetSessions = 0;
+    for (const address of addresses) {
+      if ((canonicalIP(address) || address) === cleanIp) {
+        ipSessions++;
+      }
+      if (subnetOf(address, subnetPrefixIPv4, subnetPrefixIPv6) === subnet) {
+        subnetSessions++;
+      }
+    }
+
+    if (maxSessionsPerIP > 0 && ipSessions >= maxSessionsPerIP) {
+      return {
+        allowed: false,
+        code: 'session-limit',
+        reason: `Too many sessions from ${cleanIp} (limit ${maxSessionsPerIP})`,
+      };
+    }
+
+    if (maxSessionsPerSubnet > 0 && subnetSessions >= maxSessionsPerSubnet) {
+      return {
+        allowed: false,
+        code: 'session-limit',
+        reason: `Too many sessions from ${subnet} (limit ${maxSessionsPerSubnet})`,
+      };
+    }
+
+    return null;
+  }
+
+  lookupCountry(ip) {
+    const geoip = getGeoIP();
+    if (!geoip || !geoip.isEnabled) {
+      return null;
+    }
+    return geoip.getCountryInfo(ip);
+  }
+
+  isCountryBlocked(ip, geoInfo) {
+    const geoip = getGeoIP();
+
+    // If GeoIP is not enabled, don't block
+    if (!geoip || !geoip.isEnabled) {
+      return false;
+    }
+
+    // Handle unknown countries
+    if (!geoInfo || !geoInfo.countryCode) {
+      if (this.config.blockUnknownCountries) {
+        logger.info(`Blocked unknown country for IP: ${ip}`);
+        return true;
+      }
+      return false;
+    }
+
+    logger.debug(`Connection from ${geoInfo.countryName} (${geoInfo.countryCode}): ${ip}`);
+
+    const isBlocked = this.config.blockedCountries.includes(geoInfo.countryCode.toUpperCase());
+    if (isBlocked) {
+      logger.info(`Blocked ${geoInfo.countryName} (${geoInfo.countryCode}): ${ip}`);
+    }
+    return isBlocked;
+  }
+
+  lookupASN(ip) {
+    const geoip = getGeoIP();
+    if (!geoip || !geoip.isASNEnabled) {
+      return null;
+    }
+    return geoip.lookupASN(ip);
+  }
+
+  /**
+   * Checks BLOCKED_ASNS and BLOCKED_ASN_ORGS. Callers whose network is
+   * unknown (or without the ASN database) are let through.
+   */
+  isASNBlocked(ip, asnInfo) {
+    if (!asnInfo) {
+      return false;
+    }
+
+    const network = formatASN(asnInfo.asn, asnInfo.organization);
+    if (this.config.blockedASNs.includes(asnInfo.asn)) {
+      logger.info(`Blocked ${network}: ${ip}`);
+      return true;
+    }
+
+    const pattern = asnInfo.organization
+      ? this.config.blockedASNOrgs.find(rule => orgPattern(rule).test(asnInfo.organization))
+      : null;
+    if (pattern) {
+      logger.info(`Blocked ${network} (matches ${pattern}): ${ip}`);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Logs and reports a caller that was turned away (for the dashboard)
+   * @param {string} protocol - 'telnet' or 'ssh'
+   * @param {string} ip - Caller's IP address
+   * @param {string} code - Rejection reason code (see checkAdmission())
+   * @param {string} reason - Human-readable reason
+   */
+  recordRejection(protocol, ip, code, reason) {
+    const geoInfo = ip ? this.lookupCountry(ip) : null;
+    const country = geoInfo ? geoInfo.countryCode : null;
+    const asnInfo = ip ? this.lookupASN(ip) : null;
+    const asn = asnInfo ? asnInfo.asn : null;
+    const asnOrg = asnInfo ? asnInfo.organization : null;
+    const line = logger.eventLine('REJECT', { protocol, ip: canonicalIP(ip) || ip, code, reason });
+    logger.event('warn', 'rejected', line, {
+      protocol,
+      ip,
+      country,
+      asn,
+      asnOrg,
+      reason,
+      code,
+    });
+    this.emit('session-rejected', {
+      protocol,
+      ip,
+      country,
+      asn,
+      asnOrg,
+      code,
+      reason,
+      at: Date.now(),
+    });
+  }
+
+  /**
+   * Returns true if another session fits under MAX_CONNECTIONS
+   */
+  hasCapacity() {
+    return this.sessions.size < this.config.maxConnections;
+  }
+
+  get count() {
+    return this.sessions.size;
+  }
+
+  /**
+   * Adds a session
+   * @param {string} protocol - 'telnet' or 'ssh'
+   * @param {string} ip - Caller's IP address
+   * @param {Object} details - Initial fields, e.g. { country, asn, asnOrg }
+   * @param {Function} disconnect - Closes the session (used by the management API)
+   * @returns {Object} The session record; update its fields as they become known
+   */
+  register(protocol, ip, details = {}, disconnect = null) {
+    const session = {
+      id: this.generateId(),
+      protocol,
+      ip,
+      country: null,
+      asn: null,
+      asnOrg: null,
+      username: null,
+      encoding: null,
+      backend: null,
+      startedAt: Date.now(),
+      closeReason: null,
+      bytesFromClient: 0,
+      bytesFromBackend: 0,
+      ...details,
+    };
+
+    this.sessions.set(session.id, session);
+    if (disconnect) {
+      this.disconnectHandlers.set(session.id, disconnect);
+    }
+    logger.debug(`Active connections: ${this.sessions.size}`);
+    this.emit('session-start', session);
+    return session;
+  }
+
+  /**
+   * Removes a session (safe to call more than once)
+   * @param {string} reason - Why it closed, e.g. 'client-close' or 'backend-error'
+   */
+  end(session, reason = null) {
+    if (!this.sessions.delete(session.id)) {
+      return;
+    }
+    this.disconnectHandlers.delete(session.id);
+    session.closeReason = reason;
+
+    logger.debug(`Active connections: ${this.sessions.size}`);
+    this.emit('session-end', session);
+  }
+
+  /**
+   * Closes a session
+   * @returns {boolean} False if there is no such session
+   */
+  disconnect(id, reason = 'disconnected') {
+    const session = this.sessions.get(id);
+    const handler = this.disconnectHandlers.get(id);
+    if (!session || !handler) {
+      return false;
+    }
+
+    logger.info(`Disconnecting ${session.protocol} session ${id} from ${session.ip} (${reason})`);
+    handler();
+    return true;
+  }
+
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.sessions.values());
+  }
+
+  getStats() {
+    const byProtocol = { telnet: 0, ssh: 0 };
+    for (const session of this.sessions.values()) {
+      byProtocol[session.protocol]++;
+    }
+    return {
+      active: this.sessions.size,
+      maxConnections: this.config.maxConnections,
+      ...byProtocol,
+    };
+  }
+}
+
+// Singleton instance
+let sessionRegistryInstance = null;
+
+function initializeSessionRegistry(config) {
+  if (!sessionRegistryInstance) {
+    sessionRegistryInstance = new SessionRegistry(config);
+  }
+  return sessionRegistryInstance;
+}
+
+function getSessionRegistry() {
+  return sessionRegistryInstance;
+}
+
+module.exports = {
+  initializeSessionRegistry,
+  getSessionRegistry,
+};
@@ -0,0 +1,485 @@
+/**
+ * SFTP subsystem for bbsfw
+ * Serves a configured directory tree (e.g. BBS file areas) read-only, with
+ * optional uploads into a separate incoming directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { utils: { sftp: { OPEN_MODE, STATUS_CODE } } } = require('ssh2');
+const logger = require('./logger');
+
+// Virtual directory that maps to the upload directory
+const INCOMING_DIR = '/incoming';
+
+// Largest chunk returned for a single READ request
+const MAX_READ_LENGTH = 32768;
+
+// Directory entries returned per READDIR response
+const READDIR_BATCH_SIZE = 64;
+
+// Space and file count used in each upload directory, shared by all
+// sessions so concurrent uploads count against the same quota
+const incomingUsage = new Map();
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Error raised when a path resolves outside of its area
+ */
+class PathConfinementError extends Error {
+  constructor(virtualPath) {
+    super(`Path escapes SFTP area: ${virtualPath}`);
+    this.name = 'PathConfinementError';
+  }
+}
+
+/**
+ * Adds up the files in an upload directory
+ * @returns {Promise<Object>} { bytes, files }
+ */
+async function measureDirectory(dir) {
+  const usage = { bytes: 0, files: 0 };
+  for (const dirent of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    if (!dirent.isFile()) {
+      continue;
+    }
+    try {
+      const stats = await fs.promises.stat(path.join(dir, dirent.name));
+      usage.bytes += stats.size;
+      usage.files++;
+    } catch (err) {
+      // Moved away since the listing
+    }
+  }
+  return usage;
+}
+
+/**
+ * Converts fs.Stats into SFTP attributes
+ */
+function statsToAttrs(stats) {
+  return {
+    mode: stats.mode,
+    uid: 0,
+    gid: 0,
+    size: stats.size,
+    atime: Math.floor(stats.atimeMs / 1000),
+    mtime: Math.floor(stats.mtimeMs / 1000),
+  };
+}
+
+/**
+ * Attributes for the virtual incoming directory entry
+ */
+function directoryAttrs() {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    mode: fs.constants.S_IFDIR | 0o755,
+    uid: 0,
+    gid: 0,
+    size: 0,
+    atime: now,
+    mtime: now,
+  };
+}
+
+/**
+ * Builds an `ls -l` style line for READDIR responses
+ */
+function longname(filename, attrs) {
+  const isDir = (attrs.mode & fs.constants.S_IFMT) === fs.constants.S_IFDIR;
+  const perms = isDir ? 'dr-xr-xr-x' : '-r--r--r--';
+  const date = new Date(attrs.mtime * 1000);
+  const day = String(date.getDate()).padStart(2, ' ');
+  const stamp = `${MONTHS[date.getMonth()]} ${day} ${date.getFullYear()}`;
+  return `${perms} 1 bbs bbs ${String(attrs.size).padStart(10, ' ')} ${stamp} ${filename}`;
+}
+
+/**
+ * Maps a Node.js error to an SFTP status code
+ */
+function errorToStatus(err) {
+  if (err instanceof PathConfinementError || err.code === 'EACCES' || err.code === 'EPERM') {
+    return STATUS_CODE.PERMISSION_DENIED;
+  }
+  if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+    return STATUS_CODE.NO_SUCH_FILE;
+  }
+  return STATUS_CODE.FAILURE;
+}
+
+class SFTPSession {
+  /**
+   * @param {SFTP} sftp - ssh2 SFTP stream in server mode
+   * @param {Object} client - { clientIP, username }
+   * @param {Object} config - Configuration object
+   */
+  constructor(sftp, client, config) {
+    this.sftp = sftp;
+    this.clientIP = client.clientIP;
+    this.username = client.username || 'unknown';
+    this.root = path.resolve(config.sftpRoot);
+    this.uploadDir = config.sftpUploadDir ? path.resolve(config.sftpUploadDir) : null;
+    this.maxUploadSize = config.sftpMaxUploadSize;
+    this.incomingMaxSize = config.sftpIncomingMaxSize;
+    this.incomingMaxFiles = config.sftpIncomingMaxFiles;
+    this.handles = new Map();
+    this.nextHandle = 0;
+  }
+
+  start() {
+    const events = {
+      REALPATH: this.onRealpath,
+      STAT: this.onStat,
+      LSTAT: this.onStat,
+      FSTAT: this.onFstat,
+      OPENDIR: this.onOpendir,
+      READDIR: this.onReaddir,
+      OPEN: this.onOpen,
+      READ: this.onRead,
+      WRITE: this.onWrite,
+      CLOSE: this.onClose,
+      SETSTAT: this.onSetstat,
+      FSETSTAT: this.onFsetstat,
+    };
+
+    for (const [event, handler] of Object.entries(events)) {
+      this.sftp.on(event, (reqId, ...args) => {
+        handler.call(this, reqId, ...args).catch((err) => {
+          logger.debug(`SFTP ${event} failed for ${this.clientIP}: ${err.message}`);
+          this.sftp.status(reqId, errorToStatus(err));
+        });
+      });
+    }
+
+    // Everything that modifies the tree outside of uploads is refused
+    for (const event of ['REMOVE', 'RMDIR', 'MKDIR', 'RENAME', 'READLINK', 'SYMLINK']) {
+      this.sftp.on(event, (reqId) => {
+        this.sftp.status(reqId, STATUS_CODE.PERMISSION_DENIED);
+      });
+    }
+
+    this.sftp.on('close', () => this.closeAll());
+
+    logger.info(`SFTP session started for ${this.clientIP} (user: ${this.username})`);
+  }
+
+  /**
+   * Normalizes a client-supplied path to an absolute virtual path
+   */
+  normalize(virtualPath) {
+    return path.posix.resolve('/', virtualPath || '/');
+  }
+
+  isIncoming(virtualPath) {
+    return this.uploadDir !== null
+      && (virtualPath === INCOMING_DIR || virtualPath.startsWith(INCOMING_DIR + '/'));
+  }
+
+  /**
+   * Maps a virtual path onto the filesystem and checks it stays inside its area
+   * Symlinks are followed, so the check is made against the resolved location.
+   * For paths that don't exist yet (uploads), the parent directory is checked.
+   * @returns {Promise<Object>} { virtualPath, realPath, incoming }
+   */
+  async resolve(clientPath) {
+    const virtualPath = this.normalize(clientPath);
+    const incoming = this.isIncoming(virtualPath);
+    const base = incoming ? this.uploadDir : this.root;
+    const relative = incoming ? virtualPath.slice(INCOMING_DIR.length) : virtualPath;
+    const realPath = path.join(base, relative);
+
+    const realBase = await fs.promises.realpath(base);
+    let resolved;
+    try {
+      resolved = await fs.promises.realpath(realPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+      resolved = path.join(await fs.promises.realpath(path.dirname(realPath)), path.basename(realPath));
+    }
+
+    if (resolved !== realBase && !resolved.startsWith(realBase + path.sep)) {
+      throw new PathConfinementError(virtualPath);
+    }
+
+    return { virtualPath, realPath: resolved, incoming };
+  }
+
+  createHandle(entry) {
+    const handle = Buffer.alloc(4);
+    handle.writeUInt32BE(this.nextHandle++, 0);
+    this.handles.set(handle.toString('hex'), entry);
+    return handle;
+  }
+
+  getHandle(handle) {
+    return this.handles.get(handle.toString('hex')) || null;
+  }
+
+  async onRealpath(reqId, clientPath) {
+    const virtualPath = this.normalize(clientPath);
+    this.sftp.name(reqId, [{ filename: virtualPath, longname: virtualPath, attrs: {} }]);
+  }
+
+  async onStat(reqId, clientPath) {
+    const target = await this.resolve(clientPath);
+    const stats = await fs.promises.stat(target.realPath);
+    this.sftp.attrs(reqId, statsToAttrs(stats));
+  }
+
+  async onFstat(reqId, handle) {
+    const entry = this.getHandle(handle);
+    if (!entry || entry.type !== 'file') {
+      this.sftp.status(reqId, STATUS_CODE.FAILURE);
+      return;
+    }
+    const stats = await entry.file.stat();
+    this.sftp.attrs(reqId, statsToAttrs(stats));
+  }
+
+  async onOpendir(reqId, clientPath) {
+    const target = await this.resolve(clientPath);
+
+    // The incoming directory is upload-only: callers can't see each other's uploads
+    if (target.incoming) {
+      this.sftp.status(reqId, STATUS_CODE.PERMISSION_DENIED);
+      return;
+    }
+
+    const dirents = await fs.promises.readdir(target.realPath, { withFileTypes: true });
+
+    const entries = [];
+    for (const dirent of dirents) {
+      // Hide dotfiles and anything that isn't a plain file or directory
+      if (dirent.name.startsWith('.')) {
+        continue;
+      }
+      try {
+        const entryPath = path.posix.join(target.virtualPath, dirent.name);
+        const resolved = await this.resolve(entryPath);
+        const stats = await fs.promises.stat(resolved.realPath);
+        if (!stats.isFile() && !stats.isDirectory()) {
+          continue;
+        }
+        const attrs = statsToAttrs(stats);
+        entries.push({ filename: dirent.name, longname: longname(dirent.name, attrs), attrs });
+      } catch (err) {
+        // Broken or escaping symlinks are left out of the listing
+        continue;
+      }
+    }
+
+    if (target.virtualPath === '/' && this.uploadDir) {
+      const name = INCOMING_DIR.slice(1);
+      const attrs = directoryAttrs();
+      const index = entries.findIndex((entry) => entry.filename === name);
+      if (index !== -1) {
+        entries.splice(index, 1);
+      }
+      entries.push({ filename: name, longname: longname(name, attrs), attrs });
+    }
+
+    const handle = this.createHandle({ type: 'dir', virtualPath: target.virtualPath, entries });
+    this.sftp.handle(reqId, handle);
+  }
+
+  async onReaddir(reqId, handle) {
+    const entry = this.getHandle(handle);
+    if (!entry || entry.type !== 'dir') {
+      this.sftp.status(reqId, STATUS_CODE.FAILURE);
+      return;
+    }
+
+    if (entry.entries.length === 0) {
+      this.sftp.status(reqId, STATUS_CODE.EOF);
+      return;
+    }
+
+    this.sftp.name(reqId, entry.entries.splice(0, READDIR_BATCH_SIZE));
+  }
+
+  async onOpen(reqId, clientPath, flags) {
+    const target = await this.resolve(clientPath);
+    const wantsWrite = (flags & (OPEN_MODE.WRITE | OPEN_MODE.APPEND | OPEN_MODE.CREAT | OPEN_MODE.TRUNC)) !== 0;
+
+    if (wantsWrite) {
+      // Uploads only go to the incoming directory and never replace existing files
+      if (!target.incoming || target.virtualPath === INCOMING_DIR) {
+        logger.warn(`SFTP upload denied for ${this.clientIP} (user: ${this.username}): ${target.virtualPath}`);
+        this.sftp.status(reqId, STATUS_CODE.PERMISSION_DENIED);
+        return;
+      }
+
+      if (this.incomingMaxSize > 0 || this.incomingMaxFiles > 0) {
+        // Measured afresh for each upload, so files moved out make room again
+        const usage = await measureDirectory(this.uploadDir);
+        incomingUsage.set(this.uploadDir, usage);
+        if ((this.incomingMaxFiles > 0 && usage.files >= this.incomingMaxFiles)
+          || (this.incomingMaxSize > 0 && usage.bytes >= this.incomingMaxSize)) {
+          logger.warn(`SFTP upload refused for ${this.clientIP} (user: ${this.username}), upload directory is full: ${target.virtualPath}`);
+          this.sftp.status(reqId, STATUS_CODE.FAILURE, 'Upload directory is full');
+          return;
+        }
+      }
+
+      const file = await fs.promises.open(target.realPath, 'wx');
+      const usage = incomingUsage.get(this.uploadDir);
+      if (usage) {
+        usage.files++;
+      }
+      logger.info(`SFTP upload started by ${this.clientIP} (user: ${this.username}): ${target.virtualPath}`);
+      this.sftp.handle(reqId, this.createHandle({
+        type: 'file',
+        mode: 'upload',
+        virtualPath: target.virtualPath,
+        file,
+        bytes: 0,
+        size: 0,
+      }));
+      return;
+    }
+
+    // The incoming directory is upload-only
+    if (target.incoming) {
+      this.sftp.status(reqId, STATUS_CODE.PERMISSION_DENIED);
+      return;
+    }
+
+    const stats = await fs.promises.stat(target.realPath);
+    if (!stats.isFile()) {
+      this.sftp.status(reqId, STATUS_CODE.FAILURE);
+      return;
+    }
+
+    const file = await fs.promises.open(target.realPath, 'r');
+    logger.info(`SFTP download started by ${this.clientIP} (user: ${this.username}): ${target.virtualPath} (${stats.size} bytes)`);
+    this.sftp.handle(reqId, this.createHandle({
+      type: 'file',
+      mode: 'download',
+      virtualPath: target.virtualPath,
+      file,
+      bytes: 0,
+    }));
+  }
+
+  async onRead(reqId, handle, offset, length) {
+    const entry = this.getHandle(handle);
+    if (!entry || entry.type !== 'file' || entry.mode !== 'download') {
+      this.sftp.status(reqId, STATUS_CODE.FAILURE);
+      return;
+    }
+
+    const buffer = Buffer.alloc(Math.min(length, MAX_READ_LENGTH));
+    const { bytesRead } = await entry.file.read(buffer, 0, buffer.length, offset);
+
+    if (bytesRead === 0) {
+      this.sftp.status(reqId, STATUS_CODE.EOF);
+      return;
+    }
+
+    entry.bytes += bytesRead;
+    this.sftp.data(reqId, buffer.slice(0, bytesRead));
+  }
+
+  async onWrite(reqId, handle, offset, data) {
+    const entry = this.getHandle(handle);
+    if (!entry || entry.type !== 'file' || entry.mode !== 'upload') {
+      this.sftp.status(reqId, STATUS_CODE.PERMISSION_DENIED);
+      return;
+    }
+
+    if (this.maxUploadSize > 0 && offset + data.length > this.maxUploadSize) {
+      if (!entry.limitReached) {
+        entry.limitReached = true;
+        logger.warn(`SFTP upload over ${this.maxUploadSize} bytes refused for ${this.clientIP} (user: ${this.username}): ${entry.virtualPath}`);
+      }
+      this.sftp.status(reqId, STATUS_CODE.FAILURE, 'Upload size limit exceeded');
+      return;
+    }
+
+    // Only writes that extend the file use up more of the quota
+    const growth = Math.max(0, offset + data.length - entry.size);
+    const usage = incomingUsage.get(this.uploadDir);
+    if (usage && this.incomingMaxSize > 0 && usage.bytes + growth > this.incomingMaxSize) {
+      if (!entry.limitReached) {
+        entry.limitReached = true;
+        logger.warn(`SFTP upload stopped for ${this.clientIP} (user: ${this.username}), upload directory is full: ${entry.virtualPath}`);
+      }
+      this.sftp.status(reqId, STATUS_CODE.FAILURE, 'Upload directory is full');
+      return;
+    }
+    if (usage) {
+      usage.bytes += growth;
+    }
+    entry.size += growth;
+
+    await entry.file.write(data, 0, data.length, offset);
+    entry.bytes += data.length;
+    this.sftp.status(reqId, STATUS_CODE.OK);
+  }
+
+  async onClose(reqId, handle) {
+    const key = handle.toString('hex');
+    const entry = this.handles.get(key);
+    if (!entry) {
+      this.sftp.status(reqId, STATUS_CODE.FAILURE);
+      return;
+    }
+
+    this.handles.delete(key);
+    if (entry.type === 'file') {
+      await this.closeFile(entry, 'complete');
+    }
+    this.sftp.status(reqId, STATUS_CODE.OK);
+  }
+
+  async onSetstat(reqId, clientPath) {
+    // Attribute changes are accepted and ignored for uploads (clients set
+    // times after a transfer) and refused everywhere else
+    const target = await this.resolve(clientPath);
+    this.sftp.status(reqId, target.incoming ? STATUS_CODE.OK : STATUS_CODE.PERMISSION_DENIED);
+  }
+
+  async onFsetstat(reqId, handle) {
+    const entry = this.getHandle(handle);
+    const isUpload = entry && entry.type === 'file' && entry.mode === 'upload';
+    this.sftp.status(reqId, isUpload ? STATUS_CODE.OK : STATUS_CODE.PERMISSION_DENIED);
+  }
+
+  async closeFile(entry, result) {
+    await entry.file.close();
+    const action = entry.mode === 'upload' ? 'upload' : 'download';
+    logger.info(`SFTP ${action} ${result} for ${this.clientIP} (user: ${this.username}): ${entry.virtualPath} (${entry.bytes} bytes)`);
+  }
+
+  closeAll() {
+    for (const entry of this.handles.values()) {
+      if (entry.type === 'file') {
+        this.closeFile(entry, 'aborted').catch((err) => {
+          logger.debug(`Failed to close SFTP file for ${this.clientIP}: ${err.message}`);
+        });
+      }
+    }
+    this.handles.clear();
+    logger.info(`SFTP session closed for ${this.clientIP} (user: ${this.username})`);
+  }
+}
+
+/**
+ * Starts serving SFTP requests on an accepted sftp subsystem stream
+ * @param {SFTP} sftp - ssh2 SFTP stream in server mode
+ * @param {Object} client - { clientIP, username }
+ * @param {Object} config - Configuration object
+ */
+function handleSFTPSession(sftp, client, config) {
+  const session = new SFTPSession(sftp, client, config);
+  session.start();
+  return session;
+}
+
+module.exports = {
+  handleSFTPSession,
+};
@@ -0,0 +1,251 @@
+/**
+ * SSH authentication for bbsfw
+ * Supports open access (any credentials), a local credentials file with
+ * scrypt-hashed passwords, and authorized_keys-style public key auth
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { utils: { parseKey } } = require('ssh2');
+const logger = require('./logger');
+
+const AUTH_MODES = ['open', 'password', 'publickey'];
+
+// scrypt parameters for newly created password hashes
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_SALT_LENGTH = 16;
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Hashes a password for the credentials file
+ * @param {string} password - Plain text password
+ * @returns {string} Hash in the form scrypt$<salt>$<hash> (base64)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(SCRYPT_SALT_LENGTH);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Splits a hash created by hashPassword() into its salt and hash
+ * @returns {Object|null} { salt, hash } as Buffers, or null if malformed
+ */
+function parseHash(stored) {
+  const parts = stored.split('$');
+  if (parts.length !== 3 || parts[0] !== 'scrypt') {
+    return null;
+  }
+
+  const salt = Buffer.from(parts[1], 'base64');
+  const hash = Buffer.from(parts[2], 'base64');
+  // Buffer.from() skips characters that aren't base64, so check the round trip too.
+  // An empty hash must never get through: it would match any password.
+  if (salt.length !== SCRYPT_SALT_LENGTH || hash.length !== SCRYPT_KEY_LENGTH
+    || salt.toString('base64') !== parts[1] || hash.toString('base64') !== parts[2]) {
+    return null;
+  }
+
+  return { salt, hash };
+}
+
+/**
+ * Checks a password against a hash created by hashPassword()
+ * Runs scrypt on the libuv thread pool so guessing doesn't stall other sessions.
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  const parsed = parseHash(stored);
+  if (!parsed) {
+    return false;
+  }
+
+  const actual = await scrypt(password, parsed.salt, parsed.hash.length);
+  return crypto.timingSafeEqual(actual, parsed.hash);
+}
+
+/**
+ * Reads a user list file, skipping blank lines and comments
+ * @returns {Array<string>|null} Trimmed lines, or null if the file is missing
+ */
+function readEntries(filePath, description) {
+  const fullPath = path.resolve(filePath);
+
+  if (!fs.existsSync(fullPath)) {
+    logger.warn(`${description} file not found: ${fullPath}`);
+    return null;
+  }
+
+  return fs.readFileSync(fullPath, 'utf-8')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+class SSHAuthenticator {
+  constructor(config) {
+    this.config = config;
+    this.modes = config.sshAuthModes;
+    this.credentials = new Map(); // username -> password hash
+    this.authorizedKeys = new Map(); // username -> [parsed public keys]
+  }
+
+  initialize() {
+    if (this.modes.includes('password')) {
+      this.loadCredentials(this.config.sshCredentialsPath);
+    }
+
+    if (this.modes.includes('publickey')) {
+      this.loadAuthorizedKeys(this.config.sshAuthorizedKeysPath);
+    }
+
+    logger.info('SSH authentication initialized', {
+      modes: this.modes.join(', '),
+      users: this.credentials.size,
+      keyUsers: this.authorizedKeys.size,
+    });
+  }
+
+  /**
+   * Loads "username:scrypt$salt$hash" lines
+   */
+  loadCredentials(credentialsPath) {
+    try {
+      const entries = readEntries(credentialsPath, 'SSH credentials');
+      if (!entries) {
+        return;
+      }
+
+      this.credentials.clear();
+      for (const entry of entries) {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) {
+          logger.warn(`Skipping malformed SSH credentials entry: ${entry.substring(0, 20)}...`);
+          continue;
+        }
+        const username = entry.substring(0, separator);
+        const stored = entry.substring(separator + 1);
+        if (!parseHash(stored)) {
+          logger.warn(`Skipping SSH credentials entry for ${username}: invalid password hash (create it with hash-password.js)`);
+          continue;
+        }
+        this.credentials.set(username.toLowerCase(), stored);
+      }
+
+      logger.info(`Loaded ${this.credentials.size} SSH users from: ${path.resolve(credentialsPath)}`);
+    } catch (err) {
+      logger.error(`Failed to load SSH credentials: ${err.message}`);
+    }
+  }
+
+  /**
+   * Loads "username <authorized_keys line>" entries, e.g.
+   * "sysop ssh-ed25519 AAAAC3... sysop@home"
+   */
+  loadAuthorizedKeys(keysPath) {
+    try {
+      const entries = readEntries(keysPath, 'SSH authorized keys');
+      if (!entries) {
+        return;
+      }
+
+      this.authorizedKeys.clear();
+      let count = 0;
+      for (const entry of entries) {
+        const [username, ...rest] = entry.split(/\s+/);
+        const key = parseKey(rest.join(' '));
+        if (!username || !rest.length || key instanceof Error) {
+          logger.warn(`Skipping invalid SSH authorized key entry for ${username || 'unknown user'}`);
+          continue;
+        }
+
+        const name = username.toLowerCase();
+        if (!this.authorizedKeys.has(name)) {
+          this.authorizedKeys.set(name, []);
+        }
+        this.authorizedKeys.get(name).push(Array.isArray(key) ? key[0] : key);
+        count++;
+      }
+
+      logger.info(`Loaded ${count} SSH authorized keys from: ${path.resolve(keysPath)}`);
+    } catch (err) {
+      logger.error(`Failed to load SSH authorized keys: ${err.message}`);
+    }
+  }
+
+  /**
+   * Authentication methods offered to clients
+   */
+  allowedMethods() {
+    if (this.modes.includes('open')) {
+      return ['password', 'none'];
+    }
+    return this.modes.slice();
+  }
+
+  /**
+   * Handles one ssh2 authentication request
+   * @param {Object} ctx - ssh2 AuthContext
+   * @param {string} clientIP - Client IP for logging
+   * @returns {Promise<boolean>} True if the request was accepted
+   */
+  async authenticate(ctx, clientIP) {
+    const username = (ctx.username || '').toLowerCase();
+
+    if (this.modes.includes('open') && (ctx.method === 'password' || ctx.method === 'none')) {
+      ctx.accept();
+      return true;
+    }
+
+    if (ctx.method === 'password' && this.modes.includes('password')) {
+      const stored = this.credentials.get(username);
+      if (stored && await verifyPassword(ctx.password, stored)) {
+        ctx.accept();
+        return true;
+      }
+      logger.warn(`SSH password authentication failed for ${ctx.username} from ${clientIP}`);
+    } else if (ctx.method === 'publickey' && this.modes.includes('publickey')) {
+      const key = this.findKey(username, ctx.key);
+      if (key && !ctx.signature) {
+        // Client is only asking whether this key would be accepted
+        ctx.accept();
+        return false;
+      }
+      if (key && key.verify(ctx.blob, ctx.signature, ctx.hashAlgo) === true) {
+        ctx.accept();
+        return true;
+      }
+      logger.debug(`SSH public key not accepted for ${ctx.username} from ${clientIP}`);
+    }
+
+    ctx.reject(this.allowedMethods());
+    return false;
+  }
+
+  findKey(username, offered) {
+    const keys = this.authorizedKeys.get(username) || [];
+    return keys.find((key) => {
+      const data = key.getPublicSSH();
+      return key.type === offered.algo
+        && data.length === offered.data.length
+        && crypto.timingSafeEqual(data, offered.data);
+    }) || null;
+  }
+
+  /**
+   * Returns true if usernames are verified (i.e. auth is not open)
+   */
+  get verifiesUsers() {
+    return !this.modes.includes('open');
+  }
+}
+
+module.exports = {
+  AUTH_MODES,
+  SSHAuthenticator,
+  hashPassword,
+  verifyPassword,
+};
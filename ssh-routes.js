@@ -0,0 +1,66 @@
+/**
+ * Username-based routing for SSH sessions
+ * Lets the SSH login name pick the backend, e.g. "ssh lord@bbs"
+ */
+
+const logger = require('./logger');
+const { parseTarget } = require('./config');
+const { getBackendPortForEncoding } = require('./encoding-detector');
+
+/**
+ * Resolves the backend for an SSH session
+ * @param {string} username - SSH login name
+ * @param {string} encoding - Detected encoding ('utf8' or 'cp437')
+ * @param {Object} config - Configuration object
+ * @returns {Object|null} { host, port, route, pooled } or null if the session
+ *   should be rejected. Pooled routes pick their host from the backend pool.
+ */
+function resolveSSHRoute(username, encoding, config) {
+  const name = (username || '').toLowerCase();
+  const route = config.sshRoutes.find((entry) => entry.username === name);
+
+  if (route) {
+    logger.debug(`SSH username ${username} routed to ${route.host}:${route.port}`);
+    return { host: route.host, port: route.port, route: route.username, pooled: false };
+  }
+
+  if (config.sshDefaultRoute === 'reject') {
+    return null;
+  }
+
+  if (config.sshDefaultRoute === 'encoding') {
+    const port = config.encodingDetection
+      ? getBackendPortForEncoding(encoding, config)
+      : config.backendPort;
+    return { host: config.backendHost, port, route: 'default', pooled: true };
+  }
+
+  const target = parseTarget(config.sshDefaultRoute, config.backendHost);
+  return { host: target.host, port: target.port, route: 'default', pooled: false };
+}
+
+// Longest username echoed back in the unknown-destination message
+const MAX_ECHOED_USERNAME = 32;
+
+/**
+ * Builds the message shown to users whose username has no route
+ * The username is the caller's own input, so control characters (which
+ * could carry terminal escape sequences) are shown as "?".
+ */
+function unknownRouteMessage(username, config) {
+  const names = config.sshRoutes.map((entry) => entry.username);
+  const shown = Array.from(username || '')
+    .slice(0, MAX_ECHOED_USERNAME)
+    .join('')
+    .replace(/[\x00-\x1f\x7f-\x9f]/g, '?');
+  let message = `\r\nUnknown destination "${shown}".\r\n`;
+  if (names.length > 0) {
+    message += `Connect as one of: ${names.join(', ')}\r\n`;
+  }
+  return message + '\r\n';
+}
+
+module.exports = {
+  resolveSSHRoute,
+  unknownRouteMessage,
+};
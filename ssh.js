@@ -4,11 +4,64 @@
  */
 
 const ssh2 = require('ssh2');
-const net = require('net');
 const fs = require('fs');
 const logger = require('./logger');
-const { getIPFilter } = require('./ipfilter');
-const { detectFromSSHEnvironment, detectFromTerminalType, getBackendPortForEncoding } = require('./encoding-detector');
+const { getSessionRegistry } = require('./sessions');
+const { formatASN } = require('./geoip');
+const { detectFromSSHEnvironment, detectFromTerminalType } = require('./encoding-detector');
+const { TelnetBridge } = require('./telnet-bridge');
+const { handleSFTPSession } = require('./sftp');
+const { SSHAuthenticator } = require('./ssh-auth');
+const { resolveSSHRoute, unknownRouteMessage } = require('./ssh-routes');
+const { getBackendPool } = require('./backend-pool');
+const { renderScreen, plainText, offlineScreen, rejectionScreen, rejectionScreenPath } = require('./screens');
+
+// How long a rejected client gets to reach the login prompt and read its screen
+const REJECTION_SESSION_TIMEOUT = 15000;
+
+// Banned and rate-limited callers are the ones likely to be flooding, so
+// they are held for much less (clients reach the prompt within a second or two)
+const BLOCKED_REJECTION_TIMEOUT = 3000;
+const BLOCKED_REJECTION_CODES = ['blocklist', 'ratelimit'];
+
+/**
+ * Disconnects a rejected SSH client
+ * Without a rejection screen the client is dropped straight away. With one,
+ * the screen (as plain text: login prompts can't show ANSI) is sent as the
+ * instructions of a keyboard-interactive prompt with no questions, which
+ * clients print before the login fails. Authentication is always rejected,
+ * so scanners never see guessed credentials succeed.
+ * @param {Object} client - ssh2 client connection
+ * @param {string} code - Rejection reason
+ * @param {Object} details - { ip, reason, blockedUntil } for the template
+ * @param {Object} config - Configuration object
+ */
+function rejectClient(client, code, details, config) {
+  if (!rejectionScreenPath(code, config)) {
+    client.end();
+    return;
+  }
+
+  const timeout = BLOCKED_REJECTION_CODES.includes(code) ? BLOCKED_REJECTION_TIMEOUT : REJECTION_SESSION_TIMEOUT;
+  const timer = setTimeout(() => client.end(), timeout);
+  client.on('close', () => clearTimeout(timer));
+
+  let screenShown = false;
+  client.on('authentication', (ctx) => {
+    if (screenShown || ctx.method !== 'keyboard-interactive') {
+      // Steer the client to keyboard-interactive (once), so there's somewhere to show the screen
+      ctx.reject(screenShown ? [] : ['keyboard-interactive']);
+      return;
+    }
+
+    screenShown = true;
+    const screen = rejectionScreen(code, details, 'utf8', config);
+    ctx.prompt([], '', screen ? plainText(screen) : details.reason, () => {
+      ctx.reject([]);
+      client.end();
+    });
+  });
+}
 
 /**
  * Creates and starts the SSH server
@@ -25,7 +78,16 @@ function createSSHServer(config) {
   } catch (err) {
     logger.error(`Failed to read SSH host key from ${config.sshHostKey}:`, err.message);
     logger.error('Generate a host key with: ssh-keygen -t rsa -b 4096 -f ssh_host_key -N ""');
-    process.exit(1);
+    logger.close(() => process.exit(1));
+    return null;
+  }
+
+  // Set up the configured authentication modes
+  const authenticator = new SSHAuthenticator(config);
+  authenticator.initialize();
+  
+  if (config.sshForwardUsername && !authenticator.verifiesUsers) {
+    logger.warn('SSH_FORWARD_USERNAME is enabled with open authentication: forwarded usernames are not verified');
   }
 
   const server = new ssh2.Server(
@@ -44,41 +106,69 @@ function createSSHServer(config) {
         logger.debug(`SSH client error: ${err.message}`);
       });
       
-      // Handle edge case where remoteAddress is undefined
-      if (!clientIP) {
-        logger.warn('SSH connection rejected: unable to determine client IP address');
-        client.end();
+      // Same admission policy as telnet: IP filter, country and ASN blocking
+      // and MAX_CONNECTIONS (checked before authentication)
+      const registry = getSessionRegistry();
+      const admission = registry.checkAdmission(clientIP);
+      if (!admission.allowed) {
+        registry.recordRejection('ssh', clientIP, admission.code, admission.reason);
+        rejectClient(client, admission.code, {
+          ip: clientIP,
+          reason: admission.reason,
+          blockedUntil: admission.blockedUntil,
+        }, config);
+        return;
+      }
+      
+      if (!registry.hasCapacity()) {
+        const reason = `All ${config.maxConnections} nodes are busy`;
+        registry.recordRejection('ssh', clientIP, 'max-connections', reason);
+        rejectClient(client, 'max-connections', { ip: clientIP, reason }, config);
         return;
       }
       
-      logger.info(`SSH client connected from ${clientIP}`);
-
-      // Check if IP should be blocked before authentication
-      const ipFilter = getIPFilter();
-      if (ipFilter) {
-        const accessCheck = ipFilter.shouldAllowConnection(clientIP);
-        if (!accessCheck.allowed) {
-          logger.warn(`SSH connection blocked from ${clientIP}: ${accessCheck.reason}`);
+      // Why the session ended: the first cause seen, or client-close
+      let closeReason = null;
+      const sessionInfo = registry.register('ssh', clientIP, {
+        country: admission.country,
+        asn: admission.asn,
+        asnOrg: admission.asnOrg,
+      }, () => {
+        closeReason = closeReason || 'admin-disconnect';
+        client.end();
+      });
+      const network = admission.asn ? ` (${formatASN(admission.asn, admission.asnOrg)})` : '';
+      logger.event('info', 'session-start', `SSH client connected from ${clientIP}${network}`, { session: sessionInfo });
+      client.on('close', () => registry.end(sessionInfo, closeReason || 'client-close'));
+      
+      // Set connection timeout
+      if (config.connectionTimeout > 0) {
+        client._sock.setTimeout(config.connectionTimeout);
+        client._sock.on('timeout', () => {
+          logger.info(`SSH connection timeout for ${clientIP}`);
+          closeReason = closeReason || 'timeout';
           client.end();
-          return;
-        }
+        });
       }
 
+      let username = null;
+      // Each connection is one registry session, so it gets one shell (and
+      // one backend connection)
+      let shellOpened = false;
+
       client.on('authentication', (ctx) => {
-        // Accept any username/password combination
-        logger.info(`SSH authentication attempt from ${clientIP} with username: ${ctx.username}`);
+        logger.info(`SSH authentication attempt from ${clientIP} with username: ${ctx.username} (method: ${ctx.method})`);
         
-        if (ctx.method === 'password' || ctx.method === 'none') {
-          // Accept any credentials
-          ctx.accept();
-        } else {
-          // Only support password and none authentication
-          ctx.reject(['password', 'none']);
-        }
+        // Set before authenticating: accepting emits 'ready' synchronously
+        username = ctx.username;
+        authenticator.authenticate(ctx, clientIP).catch((err) => {
+          logger.debug(`SSH authentication error for ${clientIP}: ${err.message}`);
+        });
       });
 
       client.on('ready', () => {
-        logger.info(`SSH client ${clientIP} authenticated successfully`);
+        logger.info(`SSH client ${clientIP} authenticated successfully as ${username}`);
+        sessionInfo.username = username;
 
         client.on('session', (accept, reject) => {
           logger.debug(`Session requested for ${clientIP}, accept type: ${typeof accept}`);
@@ -94,6 +184,9 @@ function createSSHServer(config) {
           let detectedEncoding = 'cp437'; // Default to CP437
           let sshEnv = {};
           let termType = null;
+          let termCols = 0;
+          let termRows = 0;
+          let telnetBridge = null;
 
           // Handle environment variables (for encoding detection)
           session.on('env', (accept, reject, info) => {
@@ -116,6 +209,12 @@ function createSSHServer(config) {
           session.on('pty', (accept, reject, info) => {
             logger.debug(`PTY requested for ${clientIP}, accept type: ${typeof accept}, term: ${info.term}`);
             
+            // Capture window size for NAWS
+            if (info) {
+              termCols = info.cols || 0;
+              termRows = info.rows || 0;
+            }
+            
             // Capture terminal type
             if (info && info.term) {
               termType = info.term;
@@ -141,9 +240,17 @@ function createSSHServer(config) {
           });
 
           // Handle window change requests
-          session.on('window-change', (info) => {
-            // Window size changes are informational only
+          session.on('window-change', (accept, reject, info) => {
             logger.debug(`Window change for ${clientIP}: ${info.cols}x${info.rows}`);
+            termCols = info.cols;
+            termRows = info.rows;
+            
+            // Pass the new size on to the backend via NAWS
+            if (telnetBridge) {
+              telnetBridge.setWindowSize(info.cols, info.rows);
+            }
+            
+            accept && accept();
           });
 
           // Handle shell request
@@ -155,111 +262,208 @@ function createSSHServer(config) {
               return;
             }
             
+            if (shellOpened) {
+              logger.warn(`Refused a second shell for SSH client ${clientIP}`);
+              reject && reject();
+              return;
+            }
+            shellOpened = true;
+            
             const stream = accept();
             logger.info(`SSH shell session started for ${clientIP}`);
 
             // CRITICAL: Keep everything in binary Buffer mode - no encoding!
             // ssh2 streams are already binary, don't mess with them
             stream.allowHalfOpen = true;
+            sessionInfo.encoding = detectedEncoding;
 
-            // Determine backend port based on detected encoding
-            const actualBackendPort = config.encodingDetection 
-              ? getBackendPortForEncoding(detectedEncoding, config)
-              : config.backendPort;
-            
-            if (config.encodingDetection) {
-              logger.info(`SSH client ${clientIP} using backend port ${actualBackendPort} for encoding: ${detectedEncoding}`);
+            // Pick the backend from the username route table (falls back to
+            // the encoding-selected port on BACKEND_HOST)
+            const route = resolveSSHRoute(username, detectedEncoding, config);
+            if (!route) {
+              const line = logger.eventLine('REJECT', {
+                protocol: 'ssh',
+                ip: clientIP,
+                code: 'no-route',
+                reason: `No route for username ${username}`,
+              });
+              logger.event('warn', 'rejected', line, { session: sessionInfo, code: 'no-route' });
+              closeReason = closeReason || 'no-route';
+              stream.write(unknownRouteMessage(username, config));
+              stream.exit(1);
+              stream.end();
+              return;
             }
             
-            // Connect to backend telnet server
-            const backendSocket = new net.Socket();
-            
-            // Configure socket for optimal binary transfer
-            backendSocket.setNoDelay(true);    // Disable Nagle's algorithm
-            backendSocket.setKeepAlive(true, 30000);  // Enable TCP keepalive
+            if (route.route !== 'default') {
+              logger.info(`SSH client ${clientIP} routed by username ${username} to ${route.host}:${route.port}`);
+            } else if (config.encodingDetection) {
+              logger.info(`SSH client ${clientIP} using backend port ${route.port} for encoding: ${detectedEncoding}`);
+            }
             
-            backendSocket.connect(actualBackendPort, config.backendHost, () => {
-              logger.info(`SSH client ${clientIP} connected to backend ${config.backendHost}:${actualBackendPort}`);
-              
-              // Ensure backend socket is optimized
-              backendSocket.setNoDelay(true);
-            });
-
-            // Pipe data bidirectionally with proper backpressure handling
-            // Use the exact same pattern as the working telnet proxy
+            let backendSocket = null;
+            let backend = null;
+            let streamClosed = false;
+            let noticeShown = false;
             let bytesFromClient = 0;
             let bytesFromBackend = 0;
             
-            // SSH stream -> Backend socket
-            stream.on('data', (data) => {
-              bytesFromClient += data.length;
-              
-              if (!backendSocket.writable || backendSocket.destroyed) {
-                logger.debug(`Backend not writable, dropping ${data.length} bytes`);
-                return;
+            // Hold client input until a backend has accepted the connection
+            stream.pause();
+            
+            // Handle stream close
+            stream.on('close', () => {
+              streamClosed = true;
+              logger.info(`SSH stream closed for ${clientIP}. Bytes: client→backend=${bytesFromClient}, backend→client=${bytesFromBackend}`);
+              if (backendSocket && !backendSocket.destroyed) {
+                backendSocket.destroy();
               }
-              
-              // Write as-is, data is already a Buffer
-              const needsDrain = !backendSocket.write(data);
-              if (needsDrain) {
-                logger.debug(`Backend buffer full, pausing SSH stream`);
-                stream.pause();
-                backendSocket.once('drain', () => {
-                  logger.debug(`Backend drained, resuming SSH stream`);
-                  if (!stream.destroyed) {
-                    stream.resume();
-                  }
-                });
+            });
+
+            stream.on('error', (err) => {
+              logger.error(`SSH stream error for ${clientIP}:`, err.message);
+              if (backendSocket && !backendSocket.destroyed) {
+                backendSocket.destroy();
               }
             });
             
-            // Backend socket -> SSH stream
-            backendSocket.on('data', (data) => {
-              bytesFromBackend += data.length;
-              
-              if (!stream.writable || stream.destroyed) {
-                logger.debug(`SSH stream not writable, dropping ${data.length} bytes`);
+            // Default routes go through the backend pool (with failover);
+            // username routes connect straight to their target. Both are
+            // retried, with a notice to the user, before giving up.
+            const pool = getBackendPool();
+            const label = `[SSH ${clientIP}] `;
+            const connectOptions = {
+              onRetry: (retry) => {
+                if (!config.connectingNotice || streamClosed) {
+                  return;
+                }
+                const text = retry === 1 ? `\r\n${config.connectingNotice}` : '.';
+                stream.write(renderScreen(text, 'utf8', detectedEncoding));
+                noticeShown = true;
+              },
+              isAborted: () => streamClosed,
+            };
+            const connecting = route.pooled
+              ? pool.connect(route.port, label, connectOptions)
+              : pool.connectDirect(route.host, route.port, label, connectOptions);
+            
+            connecting.then((connection) => {
+              if (streamClosed) {
+                connection.socket.destroy();
+                pool.release(connection.backend);
                 return;
               }
               
-              // Write as-is, data is already a Buffer
-              const needsDrain = !stream.write(data);
-              if (needsDrain) {
-                logger.debug(`SSH stream buffer full, pausing backend`);
-                backendSocket.pause();
-                stream.once('drain', () => {
-                  logger.debug(`SSH stream drained, resuming backend`);
-                  if (!backendSocket.destroyed) {
-                    backendSocket.resume();
-                  }
-                });
+              backendSocket = connection.socket;
+              backend = connection.backend;
+              logger.info(`SSH client ${clientIP} connected to backend ${connection.host}:${connection.port}`);
+              sessionInfo.backend = `${connection.host}:${connection.port}`;
+              
+              // Configure socket for optimal binary transfer
+              backendSocket.setNoDelay(true);    // Disable Nagle's algorithm
+              backendSocket.setKeepAlive(true, 30000);  // Enable TCP keepalive
+              
+              // Telnet codec between the 8-bit SSH channel and the backend:
+              // negotiates BINARY, handles IAC escaping and answers NAWS/TTYPE
+              telnetBridge = new TelnetBridge(backendSocket, {
+                termType,
+                cols: termCols,
+                rows: termRows,
+                username: config.sshForwardUsername ? username : null,
+              }, `[SSH ${clientIP}] `);
+              
+              // Ask for binary mode in both directions before any user data flows
+              telnetBridge.start();
+              
+              // Finish the notice line so the BBS output starts on a fresh line
+              if (noticeShown) {
+                stream.write('\r\n');
               }
-            });
 
-            // Handle backend socket errors
-            backendSocket.on('error', (err) => {
-              logger.error(`Backend connection error for SSH client ${clientIP}:`, err.message);
-              stream.end();
-            });
+              // Pipe data bidirectionally with proper backpressure handling
+              // Use the exact same pattern as the working telnet proxy
+              
+              // SSH stream -> Backend socket
+              stream.on('data', (data) => {
+                bytesFromClient += data.length;
+                sessionInfo.bytesFromClient += data.length;
+                
+                if (!backendSocket.writable || backendSocket.destroyed) {
+                  logger.debug(`Backend not writable, dropping ${data.length} bytes`);
+                  return;
+                }
+                
+                // Escape IAC so binary transfers (Zmodem etc.) survive intact
+                const needsDrain = !backendSocket.write(telnetBridge.encodeClientData(data));
+                if (needsDrain) {
+                  logger.debug(`Backend buffer full, pausing SSH stream`);
+                  stream.pause();
+                  backendSocket.once('drain', () => {
+                    logger.debug(`Backend drained, resuming SSH stream`);
+                    if (!stream.destroyed) {
+                      stream.resume();
+                    }
+                  });
+                }
+              });
+              
+              // Backend socket -> SSH stream
+              backendSocket.on('data', (chunk) => {
+                bytesFromBackend += chunk.length;
+                sessionInfo.bytesFromBackend += chunk.length;
+                
+                const data = telnetBridge.handleBackendData(chunk);
+                if (data.length === 0) {
+                  return;
+                }
+                
+                if (!stream.writable || stream.destroyed) {
+                  logger.debug(`SSH stream not writable, dropping ${data.length} bytes`);
+                  return;
+                }
+                
+                const needsDrain = !stream.write(data);
+                if (needsDrain) {
+                  logger.debug(`SSH stream buffer full, pausing backend`);
+                  backendSocket.pause();
+                  stream.once('drain', () => {
+                    logger.debug(`SSH stream drained, resuming backend`);
+                    if (!backendSocket.destroyed) {
+                      backendSocket.resume();
+                    }
+                  });
+                }
+              });
 
-            backendSocket.on('close', () => {
-              logger.info(`Backend connection closed for SSH client ${clientIP}`);
-              stream.end();
-            });
+              // Handle backend socket errors
+              backendSocket.on('error', (err) => {
+                logger.error(`Backend connection error for SSH client ${clientIP}:`, err.message);
+                closeReason = closeReason || 'backend-error';
+                stream.end();
+              });
 
-            // Handle stream close
-            stream.on('close', () => {
-              logger.info(`SSH stream closed for ${clientIP}. Bytes: client→backend=${bytesFromClient}, backend→client=${bytesFromBackend}`);
-              if (!backendSocket.destroyed) {
-                backendSocket.destroy();
+              backendSocket.on('close', () => {
+                logger.info(`Backend connection closed for SSH client ${clientIP}`);
+                if (!streamClosed) {
+                  closeReason = closeReason || 'backend-close';
+                }
+                pool.release(backend);
+                stream.end();
+              });
+              
+              stream.resume();
+            }).catch((err) => {
+              if (streamClosed) {
+                return;
               }
-            });
-
-            stream.on('error', (err) => {
-              logger.error(`SSH stream error for ${clientIP}:`, err.message);
-              if (!backendSocket.destroyed) {
-                backendSocket.destroy();
+              logger.error(`Backend connection error for SSH client ${clientIP}:`, err.message);
+              if (noticeShown) {
+                stream.write('\r\n');
               }
+              stream.write(offlineScreen(detectedEncoding, config));
+              closeReason = closeReason || 'backend-offline';
+              stream.exit(1);
+              stream.end();
             });
           });
 
@@ -269,11 +473,31 @@ function createSSHServer(config) {
             // Reject exec - we only support interactive shell
             reject();
           });
+
+          // Handle SFTP subsystem requests (file area access)
+          session.on('sftp', (accept, reject) => {
+            if (!config.sftpEnabled) {
+              logger.debug(`SFTP requested by ${clientIP} but SFTP is disabled`);
+              reject && reject();
+              return;
+            }
+            
+            if (typeof accept !== 'function') {
+              logger.error(`SFTP accept is not a function for ${clientIP}`);
+              return;
+            }
+            
+            const sftpStream = accept();
+            handleSFTPSession(sftpStream, { clientIP, username }, config);
+          });
         });
       });
 
       client.on('close', () => {
-        logger.info(`SSH client ${clientIP} disconnected`);
+        logger.event('info', 'session-end', `SSH client ${clientIP} disconnected (reason: ${sessionInfo.closeReason})`, {
+          session: sessionInfo,
+          reason: sessionInfo.closeReason,
+        });
       });
     }
   );
@@ -284,7 +508,7 @@ function createSSHServer(config) {
 /**
  * Starts the SSH server
  */
-function startSSHServer(config, activeConnectionsTracker) {
+function startSSHServer(config) {
   const server = createSSHServer(config);
   
   if (!server) {
@@ -296,13 +520,17 @@ function startSSHServer(config, activeConnectionsTracker) {
     logger.error('SSH server error:', err.message);
     if (err.code === 'EADDRINUSE') {
       logger.error(`SSH port ${config.sshListenPort} is already in use`);
-      process.exit(1);
+      logger.close(() => process.exit(1));
     }
   });
 
   server.listen(config.sshListenPort, () => {
     logger.info(`SSH server listening on port ${config.sshListenPort}`);
     logger.info(`SSH connections will be forwarded to ${config.backendHost}:${config.backendPort}`);
+    if (config.sshRoutes.length > 0) {
+      const routes = config.sshRoutes.map(route => `${route.username}→${route.host}:${route.port}`);
+      logger.info(`SSH username routes: ${routes.join(', ')} (default: ${config.sshDefaultRoute})`);
+    }
   });
 
   return server;
@@ -0,0 +1,317 @@
+/**
+ * Telnet client side of the SSH bridge
+ * Speaks telnet to the backend on behalf of an SSH client: negotiates
+ * BINARY in both directions, escapes and unescapes IAC so the SSH side sees
+ * a clean 8-bit stream, and answers the backend's option negotiation,
+ * reporting the SSH PTY's window size (NAWS), terminal type (TTYPE) and
+ * optionally the SSH login name (NEW-ENVIRON USER)
+ */
+
+const logger = require('./logger');
+const {
+  DONT,
+  DO,
+  WONT,
+  WILL,
+  OPT_BINARY,
+  OPT_ECHO,
+  OPT_SGA,
+  OPT_TTYPE,
+  OPT_NAWS,
+  OPT_NEW_ENVIRON,
+  TTYPE_IS,
+  TTYPE_SEND,
+  ENV_IS,
+  ENV_SEND,
+  ENV_VAR,
+  ENV_VALUE,
+  ENV_ESC,
+  ENV_USERVAR,
+  TelnetParser,
+  escapeIAC,
+  negotiation,
+  subnegotiation,
+} = require('./telnet');
+
+const CR = 0x0d;
+const LF = 0x0a;
+const NUL = 0x00;
+
+// Options the backend may perform (we answer DO)
+const REMOTE_OPTIONS = [OPT_BINARY, OPT_ECHO, OPT_SGA];
+
+/**
+ * Escapes a NEW-ENVIRON value (VAR, VALUE, ESC and USERVAR bytes need ESC)
+ */
+function escapeEnv(value) {
+  const bytes = [];
+  for (const byte of Buffer.from(value, 'utf8')) {
+    if (byte <= ENV_USERVAR) {
+      bytes.push(ENV_ESC);
+    }
+    bytes.push(byte);
+  }
+  return bytes;
+}
+
+class TelnetBridge {
+  /**
+   * @param {net.Socket} backendSocket - Socket connected to the telnet backend
+   * @param {Object} terminal - { termType, cols, rows } from the SSH PTY request,
+   *   plus { username } when the login name should be passed to the backend
+   * @param {string} label - Prefix for log messages
+   */
+  constructor(backendSocket, terminal = {}, label = '') {
+    this.backendSocket = backendSocket;
+    this.termType = terminal.termType || null;
+    this.cols = terminal.cols || 0;
+    this.rows = terminal.rows || 0;
+    this.username = terminal.username || null;
+    this.label = label;
+    this.parser = new TelnetParser();
+
+    // Option state: options we perform (local) and the backend performs (remote)
+    this.local = new Map();
+    this.remote = new Map();
+    this.pendingLocal = new Set();
+    this.pendingRemote = new Set();
+
+    // Tracks a CR at the end of the previous backend chunk (for CR NUL)
+    this.lastBackendByteWasCR = false;
+  }
+
+  send(buffer) {
+    if (this.backendSocket.writable && !this.backendSocket.destroyed) {
+      this.backendSocket.write(buffer);
+    }
+  }
+
+  /**
+   * Opens negotiation by asking for binary transmission in both directions
+   */
+  start() {
+    this.pendingLocal.add(OPT_BINARY);
+    this.pendingRemote.add(OPT_BINARY);
+    this.send(Buffer.concat([
+      negotiation(WILL, OPT_BINARY),
+      negotiation(DO, OPT_BINARY),
+    ]));
+  }
+
+  /**
+   * Returns true when binary transmission from us to the backend is active
+   */
+  get binaryOut() {
+    return this.local.get(OPT_BINARY) === true;
+  }
+
+  /**
+   * Returns true when binary transmission from the backend to us is active
+   */
+  get binaryIn() {
+    return this.remote.get(OPT_BINARY) === true;
+  }
+
+  supportsLocal(option) {
+    switch (option) {
+      case OPT_BINARY:
+        return true;
+      case OPT_NAWS:
+        return this.cols > 0 && this.rows > 0;
+      case OPT_TTYPE:
+        return Boolean(this.termType);
+      case OPT_NEW_ENVIRON:
+        return Boolean(this.username);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Encodes data from the SSH client for the backend
+   * @param {Buffer} data - Raw bytes from the SSH channel
+   * @returns {Buffer} Telnet-encoded bytes
+   */
+  encodeClientData(data) {
+    if (!this.binaryOut && data.indexOf(CR) !== -1) {
+      // NVT mode: a bare CR must be sent as CR NUL
+      const bytes = [];
+      for (let i = 0; i < data.length; i++) {
+        bytes.push(data[i]);
+        if (data[i] === CR && data[i + 1] !== LF) {
+          bytes.push(NUL);
+        }
+      }
+      data = Buffer.from(bytes);
+    }
+
+    return escapeIAC(data);
+  }
+
+  /**
+   * Processes data received from the backend
+   * Option traffic is answered here and stripped; only unescaped data is
+   * passed on to the SSH client.
+   * @param {Buffer} chunk - Data received from the backend
+   * @returns {Buffer} Data to forward to the SSH client
+   */
+  handleBackendData(chunk) {
+    const output = [];
+
+    for (const token of this.parser.parse(chunk)) {
+      if (token.type === 'data') {
+        output.push(this.decodeBackendData(token.data));
+      } else if (token.type === 'negotiation') {
+        this.handleNegotiation(token);
+      } else if (token.type === 'subnegotiation') {
+        this.handleSubnegotiation(token);
+      }
+      // Other commands (NOP, GA, AYT, ...) have no meaning on the SSH side
+    }
+
+    return Buffer.concat(output);
+  }
+
+  decodeBackendData(data) {
+    if (this.binaryIn) {
+      this.lastBackendByteWasCR = false;
+      return data;
+    }
+
+    // NVT mode: CR NUL stands for a bare CR
+    const bytes = [];
+    for (const byte of data) {
+      if (byte === NUL && this.lastBackendByteWasCR) {
+        this.lastBackendByteWasCR = false;
+        continue;
+      }
+      bytes.push(byte);
+      this.lastBackendByteWasCR = byte === CR;
+    }
+    return Buffer.from(bytes);
+  }
+
+  handleNegotiation(token) {
+    const { command, option } = token;
+
+    if (command === DO) {
+      if (!this.supportsLocal(option)) {
+        this.send(negotiation(WONT, option));
+        return;
+      }
+      if (!this.local.get(option)) {
+        this.local.set(option, true);
+        if (!this.pendingLocal.has(option)) {
+          this.send(negotiation(WILL, option));
+        }
+        this.onLocalEnabled(option);
+      }
+      this.pendingLocal.delete(option);
+    } else if (command === DONT) {
+      const wasEnabled = this.local.get(option);
+      const wasPending = this.pendingLocal.delete(option);
+      this.local.set(option, false);
+      if (wasEnabled && !wasPending) {
+        this.send(negotiation(WONT, option));
+      }
+    } else if (command === WILL) {
+      if (!REMOTE_OPTIONS.includes(option)) {
+        this.send(negotiation(DONT, option));
+        return;
+      }
+      if (!this.remote.get(option)) {
+        this.remote.set(option, true);
+        if (!this.pendingRemote.has(option)) {
+          this.send(negotiation(DO, option));
+        }
+      }
+      this.pendingRemote.delete(option);
+    } else if (command === WONT) {
+      const wasEnabled = this.remote.get(option);
+      const wasPending = this.pendingRemote.delete(option);
+      this.remote.set(option, false);
+      if (wasEnabled && !wasPending) {
+        this.send(negotiation(DONT, option));
+      }
+    }
+
+    if (option === OPT_BINARY) {
+      logger.debug(`${this.label}Backend binary mode: out=${this.binaryOut}, in=${this.binaryIn}`);
+    }
+  }
+
+  onLocalEnabled(option) {
+    if (option === OPT_NAWS) {
+      this.sendWindowSize();
+    }
+  }
+
+  handleSubnegotiation(token) {
+    if (token.option === OPT_TTYPE && this.local.get(OPT_TTYPE) && token.data[0] === TTYPE_SEND) {
+      logger.debug(`${this.label}Sending terminal type to backend: ${this.termType}`);
+      this.send(subnegotiation(OPT_TTYPE, [TTYPE_IS, ...Buffer.from(this.termType, 'latin1')]));
+    } else if (token.option === OPT_NEW_ENVIRON && this.local.get(OPT_NEW_ENVIRON) && token.data[0] === ENV_SEND) {
+      this.sendEnvironment(token.data.slice(1));
+    }
+  }
+
+  /**
+   * Answers a NEW-ENVIRON SEND request
+   * Only USER is known; other requested variables are reported as undefined.
+   * An empty request means "send everything".
+   */
+  sendEnvironment(request) {
+    const requested = [];
+    let current = null;
+    for (const byte of request) {
+      if (byte === ENV_VAR || byte === ENV_USERVAR) {
+        current = { type: byte, name: [] };
+        requested.push(current);
+      } else if (current) {
+        current.name.push(byte);
+      }
+    }
+
+    const response = [ENV_IS];
+    const wantsAll = requested.length === 0 || requested.some(
+      (item) => item.type === ENV_VAR && item.name.length === 0
+    );
+
+    if (wantsAll) {
+      response.push(ENV_VAR, ...Buffer.from('USER'), ENV_VALUE, ...escapeEnv(this.username));
+    } else {
+      for (const item of requested) {
+        const name = Buffer.from(item.name).toString('latin1');
+        response.push(item.type, ...item.name);
+        if (item.type === ENV_VAR && name === 'USER') {
+          response.push(ENV_VALUE, ...escapeEnv(this.username));
+        }
+      }
+    }
+
+    logger.debug(`${this.label}Sending environment to backend: USER=${this.username}`);
+    this.send(subnegotiation(OPT_NEW_ENVIRON, response));
+  }
+
+  /**
+   * Updates the window size and reports it to the backend if NAWS is active
+   */
+  setWindowSize(cols, rows) {
+    this.cols = cols;
+    this.rows = rows;
+    if (this.local.get(OPT_NAWS)) {
+      this.sendWindowSize();
+    }
+  }
+
+  sendWindowSize() {
+    const cols = Math.min(this.cols, 0xffff);
+    const rows = Math.min(this.rows, 0xffff);
+    logger.debug(`${this.label}Sending window size to backend: ${cols}x${rows}`);
+    this.send(subnegotiation(OPT_NAWS, [cols >> 8, cols & 0xff, rows >> 8, rows & 0xff]));
+  }
+}
+
+module.exports = {
+  TelnetBridge,
+};
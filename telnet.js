@@ -0,0 +1,576 @@
+/**
+ * Telnet protocol helpers
+ * Streaming IAC parser, command builders and client option negotiation
+ */
+
+const logger = require('./logger');
+
+// Telnet commands (RFC 854)
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+
+// Telnet options
+const OPT_BINARY = 0;
+const OPT_ECHO = 1;
+const OPT_SGA = 3;
+const OPT_TTYPE = 24;
+const OPT_NAWS = 31;
+const OPT_NEW_ENVIRON = 39;
+const OPT_CHARSET = 42;
+
+// TTYPE (RFC 1091) and NEW-ENVIRON (RFC 1572) subnegotiation codes
+const TTYPE_IS = 0;
+const TTYPE_SEND = 1;
+const ENV_IS = 0;
+const ENV_SEND = 1;
+const ENV_INFO = 2;
+const ENV_VAR = 0;
+const ENV_VALUE = 1;
+const ENV_ESC = 2;
+const ENV_USERVAR = 3;
+
+// CHARSET (RFC 2066) subnegotiation codes
+const CHARSET_REQUEST = 1;
+const CHARSET_ACCEPTED = 2;
+const CHARSET_REJECTED = 3;
+
+// Terminal type cycling stops after this many distinct names
+const MAX_TERMINAL_TYPES = 8;
+
+// Environment variables requested from clients during negotiation
+const REQUESTED_ENV_VARS = ['LANG', 'LC_ALL', 'LC_CTYPE', 'CHARSET'];
+
+// Character sets offered to clients, in order of preference
+const OFFERED_CHARSETS = ['UTF-8', 'CP437', 'IBM437'];
+
+const PARSER_DATA = 0;
+const PARSER_IAC = 1;
+const PARSER_OPTION = 2;
+const PARSER_SB_OPTION = 3;
+const PARSER_SB = 4;
+const PARSER_SB_IAC = 5;
+
+/**
+ * Doubles every IAC byte so data can be sent over a telnet connection
+ * @param {Buffer} data - Raw data
+ * @returns {Buffer} Escaped data
+ */
+function escapeIAC(data) {
+  if (data.indexOf(IAC) === -1) {
+    return data;
+  }
+
+  const bytes = [];
+  for (const byte of data) {
+    bytes.push(byte);
+    if (byte === IAC) {
+      bytes.push(IAC);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Builds an option negotiation command (IAC WILL/WONT/DO/DONT <option>)
+ */
+function negotiation(command, option) {
+  return Buffer.from([IAC, command, option]);
+}
+
+/**
+ * Builds a subnegotiation (IAC SB <option> <data> IAC SE)
+ */
+function subnegotiation(option, data) {
+  return Buffer.concat([
+    Buffer.from([IAC, SB, option]),
+    escapeIAC(Buffer.from(data)),
+    Buffer.from([IAC, SE]),
+  ]);
+}
+
+/**
+ * Converts a parsed token back into its wire representation
+ */
+function serializeToken(token) {
+  switch (token.type) {
+    case 'data':
+      return escapeIAC(token.data);
+    case 'negotiation':
+      return negotiation(token.command, token.option);
+    case 'subnegotiation':
+      return subnegotiation(token.option, token.data);
+    default:
+      return Buffer.from([IAC, token.command]);
+  }
+}
+
+/**
+ * Streaming telnet parser
+ * Splits incoming chunks into data, negotiation, subnegotiation and command
+ * tokens. Sequences split across chunks are carried over to the next call.
+ */
+class TelnetParser {
+  constructor() {
+    this.state = PARSER_DATA;
+    this.command = null;
+    this.sbOption = null;
+    this.sbData = [];
+  }
+
+  /**
+   * Returns true when no partial sequence is buffered
+   */
+  isIdle() {
+    return this.state === PARSER_DATA;
+  }
+
+  /**
+   * Parses a chunk of telnet data
+   * @param {Buffer} chunk - Data received from a telnet peer
+   * @returns {Array<Object>} Tokens in stream order
+   */
+  parse(chunk) {
+    const tokens = [];
+    let data = [];
+
+    const flushData = () => {
+      if (data.length > 0) {
+        tokens.push({ type: 'data', data: Buffer.from(data) });
+        data = [];
+      }
+    };
+
+    for (const byte of chunk) {
+      switch (this.state) {
+        case PARSER_DATA:
+          if (byte === IAC) {
+            this.state = PARSER_IAC;
+          } else {
+            data.push(byte);
+          }
+          break;
+
+        case PARSER_IAC:
+          if (byte === IAC) {
+            data.push(IAC);
+            this.state = PARSER_DATA;
+          } else if (byte >= WILL && byte <= DONT) {
+            this.command = byte;
+            this.state = PARSER_OPTION;
+          } else if (byte === SB) {
+            this.state = PARSER_SB_OPTION;
+          } else {
+            flushData();
+            tokens.push({ type: 'command', command: byte });
+            this.state = PARSER_DATA;
+          }
+          break;
+
+        case PARSER_OPTION:
+          flushData();
+          tokens.push({ type: 'negotiation', command: this.command, option: byte });
+          this.state = PARSER_DATA;
+          break;
+
+        case PARSER_SB_OPTION:
+          this.sbOption = byte;
+          this.sbData = [];
+          this.state = PARSER_SB;
+          break;
+
+        case PARSER_SB:
+          if (byte === IAC) {
+            this.state = PARSER_SB_IAC;
+          } else {
+            this.sbData.push(byte);
+          }
+          break;
+
+        case PARSER_SB_IAC:
+          if (byte === SE) {
+            flushData();
+            tokens.push({ type: 'subnegotiation', option: this.sbOption, data: Buffer.from(this.sbData) });
+            this.sbData = [];
+            this.state = PARSER_DATA;
+          } else {
+            // IAC IAC inside a subnegotiation is a literal 255; anything else is
+            // malformed and kept as data so the subnegotiation can still end
+            this.sbData.push(byte);
+            this.state = PARSER_SB;
+          }
+          break;
+      }
+    }
+
+    flushData();
+    return tokens;
+  }
+}
+
+/**
+ * Swallows the client's replies to the option resets sent at the end of
+ * negotiation, so the backend never sees answers to questions it didn't ask
+ */
+class ReplyFilter {
+  /**
+   * @param {Array<Object>} expected - Replies to drop ({ command, option })
+   */
+  constructor(expected) {
+    this.expected = expected.slice();
+    this.parser = new TelnetParser();
+  }
+
+  /**
+   * Returns true while replies are still outstanding or a sequence is split
+   */
+  get active() {
+    return this.expected.length > 0 || !this.parser.isIdle();
+  }
+
+  /**
+   * Filters a chunk of client data
+   * @param {Buffer} chunk - Data received from the client
+   * @returns {Buffer} Data to forward to the backend
+   */
+  filter(chunk) {
+    const output = [];
+
+    for (const token of this.parser.parse(chunk)) {
+      if (token.type === 'negotiation') {
+        const index = this.expected.findIndex(
+          (reply) => reply.command === token.command && reply.option === token.option
+        );
+        if (index !== -1) {
+          this.expected.splice(index, 1);
+          continue;
+        }
+      }
+      output.push(serializeToken(token));
+    }
+
+    return Buffer.concat(output);
+  }
+}
+
+/**
+ * Parses the variable list of a NEW-ENVIRON IS/INFO subnegotiation
+ * @param {Buffer} data - Subnegotiation payload after the IS/INFO byte
+ * @returns {Object} Variable name to value map
+ */
+function parseEnvironment(data) {
+  const env = {};
+  let name = null;
+  let value = null;
+  let target = null;
+  let escaped = false;
+
+  const commit = () => {
+    if (name !== null && name.length > 0) {
+      env[Buffer.from(name).toString('latin1')] = value !== null ? Buffer.from(value).toString('latin1') : '';
+    }
+  };
+
+  for (const byte of data) {
+    if (escaped) {
+      if (target) {
+        target.push(byte);
+      }
+      escaped = false;
+      continue;
+    }
+
+    if (byte === ENV_ESC) {
+      escaped = true;
+    } else if (byte === ENV_VAR || byte === ENV_USERVAR) {
+      commit();
+      name = [];
+      value = null;
+      target = name;
+    } else if (byte === ENV_VALUE) {
+      value = [];
+      target = value;
+    } else if (target) {
+      target.push(byte);
+    }
+  }
+
+  commit();
+  return env;
+}
+
+/**
+ * Builds the NEW-ENVIRON SEND request for the variables we care about
+ */
+function buildEnvironmentRequest() {
+  const bytes = [ENV_SEND];
+  for (const name of REQUESTED_ENV_VARS) {
+    bytes.push(ENV_VAR, ...Buffer.from(name));
+    bytes.push(ENV_USERVAR, ...Buffer.from(name));
+  }
+  return bytes;
+}
+
+/**
+ * Runs a short pre-connect option negotiation with a telnet client
+ * Asks for terminal types (TTYPE cycling), locale variables (NEW-ENVIRON)
+ * and a character set (CHARSET). Once finished, options the client enabled
+ * are switched off again so the backend can negotiate them from scratch.
+ *
+ * @param {net.Socket} socket - Client socket
+ * @param {Object} options - { timeout, connectionId }
+ * @returns {Promise<Object>} { terminalTypes, environment, charset,
+ *   pendingData, expectedReplies, closed }
+ */
+function negotiateClient(socket, options = {}) {
+  const timeout = options.timeout || 3000;
+  const tag = options.connectionId ? `[${options.connectionId}] ` : '';
+
+  return new Promise((resolve) => {
+    const parser = new TelnetParser();
+    const pending = [];
+    const result = {
+      terminalTypes: [],
+      environment: {},
+      charset: null,
+      closed: false,
+    };
+
+    // Per-option progress: 'requested' -> 'enabled' -> 'done'
+    const state = {
+      ttype: 'requested',
+      environ: 'requested',
+      charset: 'requested',
+    };
+    const enabled = {
+      ttype: false,
+      environ: false,
+      charset: false,
+    };
+
+    let finished = false;
+    let parsing = false; // In the middle of a chunk: finish() waits for the rest of it
+    let expectedReplies = [];
+    let timer = null;
+
+    const send = (buffer) => {
+      if (!socket.destroyed) {
+        socket.write(buffer);
+      }
+    };
+
+    const finish = (closed) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      clearTimeout(timer);
+      socket.removeListener('data', onData);
+      socket.removeListener('close', onClose);
+      socket.removeListener('error', onError);
+
+      // Hand option state back to the backend
+      if (!closed) {
+        if (enabled.ttype) {
+          send(negotiation(DONT, OPT_TTYPE));
+          expectedReplies.push({ command: WONT, option: OPT_TTYPE });
+        }
+        if (enabled.environ) {
+          send(negotiation(DONT, OPT_NEW_ENVIRON));
+          expectedReplies.push({ command: WONT, option: OPT_NEW_ENVIRON });
+        }
+        if (enabled.charset) {
+          send(negotiation(WONT, OPT_CHARSET));
+          expectedReplies.push({ command: DONT, option: OPT_CHARSET });
+        }
+      }
+
+      result.closed = Boolean(closed);
+      if (!parsing) {
+        settle();
+      }
+    };
+
+    const settle = () => {
+      resolve({
+        ...result,
+        pendingData: Buffer.concat(pending),
+        expectedReplies,
+      });
+    };
+
+    const markDone = (key) => {
+      state[key] = 'done';
+      if (Object.values(state).every((value) => value === 'done')) {
+        finish(false);
+      }
+    };
+
+    const handleNegotiation = (token) => {
+      const { command, option } = token;
+
+      if (option === OPT_TTYPE && state.ttype === 'requested') {
+        if (command === WILL) {
+          state.ttype = 'enabled';
+          enabled.ttype = true;
+          send(subnegotiation(OPT_TTYPE, [TTYPE_SEND]));
+        } else if (command === WONT) {
+          markDone('ttype');
+        }
+        return;
+      }
+
+      if (option === OPT_NEW_ENVIRON && state.environ === 'requested') {
+        if (command === WILL) {
+          state.environ = 'enabled';
+          enabled.environ = true;
+          send(subnegotiation(OPT_NEW_ENVIRON, buildEnvironmentRequest()));
+        } else if (command === WONT) {
+          markDone('environ');
+        }
+        return;
+      }
+
+      if (option === OPT_CHARSET && state.charset === 'requested') {
+        if (command === DO) {
+          state.charset = 'enabled';
+          enabled.charset = true;
+          send(subnegotiation(OPT_CHARSET, [CHARSET_REQUEST, ...Buffer.from(';' + OFFERED_CHARSETS.join(';'))]));
+        } else if (command === DONT) {
+          markDone('charset');
+        } else if (command === WILL) {
+          // Client wants to drive CHARSET itself; we only accept our own request
+          send(negotiation(DONT, OPT_CHARSET));
+        }
+        return;
+      }
+
+      // Anything else is meant for the backend
+      pending.push(serializeToken(token));
+    };
+
+    const handleSubnegotiation = (token) => {
+      const { option, data } = token;
+
+      if (option === OPT_TTYPE && state.ttype === 'enabled' && data[0] === TTYPE_IS) {
+        const name = data.slice(1).toString('latin1').trim();
+        const seen = result.terminalTypes.some((type) => type.toLowerCase() === name.toLowerCase());
+
+        // A repeated name marks the end of the client's list (RFC 1091)
+        if (!name || seen) {
+          markDone('ttype');
+          return;
+        }
+
+        result.terminalTypes.push(name);
+        if (result.terminalTypes.length >= MAX_TERMINAL_TYPES) {
+          markDone('ttype');
+        } else {
+          send(subnegotiation(OPT_TTYPE, [TTYPE_SEND]));
+        }
+        return;
+      }
+
+      if (option === OPT_NEW_ENVIRON && (data[0] === ENV_IS || data[0] === ENV_INFO)) {
+        Object.assign(result.environment, parseEnvironment(data.slice(1)));
+        if (data[0] === ENV_IS && state.environ === 'enabled') {
+          markDone('environ');
+        }
+        return;
+      }
+
+      if (option === OPT_CHARSET) {
+        if (data[0] === CHARSET_ACCEPTED) {
+          result.charset = data.slice(1).toString('latin1').trim();
+          markDone('charset');
+        } else if (data[0] === CHARSET_REJECTED) {
+          markDone('charset');
+        } else if (data[0] === CHARSET_REQUEST) {
+          send(subnegotiation(OPT_CHARSET, [CHARSET_REJECTED]));
+        }
+        return;
+      }
+
+      pending.push(serializeToken(token));
+    };
+
+    const onData = (chunk) => {
+      parsing = true;
+      for (const token of parser.parse(chunk)) {
+        if (finished) {
+          // Negotiation ended partway through the chunk: the rest is the caller's
+          pending.push(serializeToken(token));
+        } else if (token.type === 'negotiation') {
+          handleNegotiation(token);
+        } else if (token.type === 'subnegotiation') {
+          handleSubnegotiation(token);
+        } else {
+          pending.push(serializeToken(token));
+        }
+      }
+      parsing = false;
+
+      if (finished) {
+        settle();
+      }
+    };
+
+    const onClose = () => finish(true);
+
+    const onError = (err) => {
+      logger.debug(`${tag}Client socket error during telnet negotiation: ${err.message}`);
+    };
+
+    socket.on('data', onData);
+    socket.on('close', onClose);
+    socket.on('error', onError);
+
+    timer = setTimeout(() => {
+      logger.debug(`${tag}Telnet negotiation timed out after ${timeout}ms`, state);
+      finish(false);
+    }, timeout);
+
+    send(Buffer.concat([
+      negotiation(DO, OPT_TTYPE),
+      negotiation(DO, OPT_NEW_ENVIRON),
+      negotiation(WILL, OPT_CHARSET),
+    ]));
+  });
+}
+
+module.exports = {
+  IAC,
+  DONT,
+  DO,
+  WONT,
+  WILL,
+  SB,
+  SE,
+  OPT_BINARY,
+  OPT_ECHO,
+  OPT_SGA,
+  OPT_TTYPE,
+  OPT_NAWS,
+  OPT_NEW_ENVIRON,
+  OPT_CHARSET,
+  TTYPE_IS,
+  TTYPE_SEND,
+  ENV_IS,
+  ENV_SEND,
+  ENV_INFO,
+  ENV_VAR,
+  ENV_VALUE,
+  ENV_ESC,
+  ENV_USERVAR,
+  TelnetParser,
+  ReplyFilter,
+  escapeIAC,
+  negotiation,
+  subnegotiation,
+  serializeToken,
+  negotiateClient,
+};
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  IPRangeList,
+  parseIP,
+  parseCIDR,
+  parseIPRange,
+  canonicalIP,
+  canonicalEntry,
+  formatRange,
+  subnetOf,
+} = require('../ip-ranges');
+
+/**
+ * Builds a list from entries, the way the IP filter loads its files
+ */
+function listOf(entries) {
+  const list = new IPRangeList();
+  for (const entry of entries) {
+    list.add(canonicalEntry(entry));
+  }
+  return list;
+}
+
+test('parseIP reads IPv4, IPv6 and IPv4-mapped addresses', () => {
+  assert.deepEqual(parseIP('192.0.2.1'), { version: 4, value: 0xc0000201n });
+  assert.deepEqual(parseIP('::ffff:192.0.2.1'), { version: 4, value: 0xc0000201n });
+  assert.deepEqual(parseIP('2001:db8::1'), { version: 6, value: 0x20010db8000000000000000000000001n });
+  assert.deepEqual(parseIP('fe80::1%eth0'), parseIP('fe80::1'));
+  assert.equal(parseIP('256.0.0.1'), null);
+  assert.equal(parseIP('not an ip'), null);
+  assert.equal(parseIP(undefined), null);
+});
+
+test('canonicalIP and canonicalEntry give one spelling per address or range', () => {
+  assert.equal(canonicalIP('2001:0DB8:0:0::1'), '2001:db8::1');
+  assert.equal(canonicalIP('::ffff:192.0.2.1'), '192.0.2.1');
+  assert.equal(canonicalIP('2001:db8:0:1:0:0:0:1'), '2001:db8:0:1::1');
+  assert.equal(canonicalIP('64:ff9b::192.0.2.1'), '64:ff9b::c000:201');
+  assert.equal(canonicalEntry('10.1.2.3/8'), '10.0.0.0/8');
+  assert.equal(canonicalEntry('192.0.2.1/32'), '192.0.2.1');
+  assert.equal(canonicalEntry('::ffff:10.0.0.0/104'), '10.0.0.0/8');
+  assert.equal(canonicalEntry('2001:DB8::/32'), '2001:db8::/32');
+});
+
+test('parseCIDR rejects malformed ranges', () => {
+  for (const entry of ['10.0.0.0/33', '10.0.0.0/8/8', '10.0.0.0/x', '::ffff:10.0.0.0/95', '2001:db8::/129', '']) {
+    assert.equal(parseCIDR(entry), null, entry);
+  }
+});
+
+test('parseIPRange covers a range with the fewest CIDR blocks', () => {
+  const format = value => parseIPRange(value).map(formatRange);
+  assert.deepEqual(format('10.0.0.0-10.0.3.255'), ['10.0.0.0/22']);
+  assert.deepEqual(format('10.0.0.1-10.0.0.6'), ['10.0.0.1', '10.0.0.2/31', '10.0.0.4/31', '10.0.0.6']);
+  assert.deepEqual(format('0.0.0.0-255.255.255.255'), ['0.0.0.0/0']);
+  assert.deepEqual(format('2001:db8::-2001:db8::ff'), ['2001:db8::/120']);
+  assert.equal(parseIPRange('10.0.0.9-10.0.0.1'), null);
+  assert.equal(parseIPRange('10.0.0.1-2001:db8::1'), null);
+});
+
+test('subnetOf returns the caller\'s subnet', () => {
+  assert.equal(subnetOf('::ffff:203.0.113.77', 24, 64), '203.0.113.0/24');
+  assert.equal(subnetOf('2001:db8:1:2:3::4', 24, 64), '2001:db8:1:2::/64');
+  assert.equal(subnetOf('garbage', 24, 64), 'garbage');
+});
+
+test('IPRangeList finds the entry covering an address', () => {
+  const list = listOf(['10.0.0.0/8', '192.0.2.1', '198.51.100.0/24', '2001:db8::/32', '::1']);
+  const find = ip => list.find(parseIP(ip));
+
+  assert.equal(find('10.255.255.255'), '10.0.0.0/8');
+  assert.equal(find('11.0.0.0'), null);
+  assert.equal(find('192.0.2.1'), '192.0.2.1');
+  assert.equal(find('192.0.2.2'), null);
+  assert.equal(find('::ffff:198.51.100.200'), '198.51.100.0/24');
+  assert.equal(find('2001:db8:ffff::1'), '2001:db8::/32');
+  assert.equal(find('2001:db9::1'), null);
+  assert.equal(find('::1'), '::1');
+  assert.equal(find('0.0.0.0'), null);
+  assert.equal(find('255.255.255.255'), null);
+});
+
+test('IPRangeList matches the widest of nested entries and reports the rest', () => {
+  const list = listOf(['10.1.2.0/24', '10.0.0.0/8', '10.1.0.0/16', '10.0.0.0/8', '172.16.0.0/12']);
+  assert.equal(list.size, 4);
+
+  const overlaps = list.rebuild();
+  assert.deepEqual(overlaps.sort((a, b) => a.entry.localeCompare(b.entry)), [
+    { entry: '10.1.0.0/16', within: '10.0.0.0/8' },
+    { entry: '10.1.2.0/24', within: '10.0.0.0/8' },
+  ]);
+  assert.equal(list.find(parseIP('10.1.2.3')), '10.0.0.0/8');
+  assert.equal(list.find(parseIP('172.31.255.255')), '172.16.0.0/12');
+});
+
+test('IPRangeList rebuilds its tables after a change', () => {
+  const list = listOf(['10.0.0.0/8']);
+  assert.equal(list.find(parseIP('10.0.0.1')), '10.0.0.0/8');
+
+  list.delete('10.0.0.0/8');
+  list.add('10.0.0.0/24');
+  assert.equal(list.find(parseIP('10.0.0.1')), '10.0.0.0/24');
+  assert.equal(list.find(parseIP('10.0.1.1')), null);
+
+  list.clear();
+  assert.equal(list.find(parseIP('10.0.0.1')), null);
+});
+
+test('IPRangeList agrees with a linear scan on random entries', () => {
+  // Deterministic pseudo-random numbers, so a failure can be reproduced
+  let seed = 12345;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed;
+  };
+  const randomIP = () => [random() % 256, random() % 256, random() % 256, random() % 256].join('.');
+
+  const entries = [];
+  for (let i = 0; i < 500; i++) {
+    entries.push(canonicalEntry(`${randomIP()}/${8 + (random() % 25)}`));
+  }
+  const list = listOf(entries);
+  const ranges = entries.map(entry => parseCIDR(entry));
+
+  for (let i = 0; i < 2000; i++) {
+    const address = parseIP(randomIP());
+    const expected = ranges.some(range => (address.value & range.mask) === range.network);
+    assert.equal(list.find(address) !== null, expected, formatRange({ ...address, network: address.value, prefix: 32 }));
+  }
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, buildReport } = require('../report');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Open and close records for a session, as audit.js writes them
+ */
+function session(id, start, end, fields = {}) {
+  const base = { id, protocol: 'telnet', ip: '203.0.113.1', country: 'US', asn: null, asnOrg: null, ...fields };
+  const records = [{ time: start, type: 'open', ...base }];
+  if (end) {
+    records.push({
+      time: end,
+      type: 'close',
+      ...base,
+      startedAt: start,
+      durationMs: Date.parse(end) - Date.parse(start),
+      reason: fields.reason || 'client-close',
+    });
+  }
+  return records;
+}
+
+function reject(time, ip, code) {
+  return { time, type: 'reject', protocol: 'telnet', ip, code, reason: code };
+}
+
+const FROM = Date.parse('2026-10-10T00:00:00Z');
+const TO = Date.parse('2026-10-12T00:00:00Z');
+
+test('parseArgs defaults to the last 7 days including today', () => {
+  const today = Date.parse(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+  assert.deepEqual(parseArgs([]), { from: today - 6 * DAY, to: today + DAY, top: 10, json: false });
+});
+
+test('parseArgs reads days, ranges and options', () => {
+  assert.deepEqual(parseArgs(['--from', '2026-10-01', '--to', '2026-10-03', '--top', '5', '--json']), {
+    from: Date.parse('2026-10-01T00:00:00Z'),
+    to: Date.parse('2026-10-04T00:00:00Z'),
+    top: 5,
+    json: true,
+  });
+  assert.deepEqual(parseArgs(['--to', '2026-10-03', '--days', '2']).from, Date.parse('2026-10-02T00:00:00Z'));
+});
+
+test('parseArgs rejects bad options', () => {
+  assert.throws(() => parseArgs(['--frm', '2026-10-01']), /Unknown option: --frm/);
+  assert.throws(() => parseArgs(['--from']), /Unknown option: --from/);
+  assert.throws(() => parseArgs(['--from', '2026-13-01']), /Invalid --from day/);
+  assert.throws(() => parseArgs(['--to', 'yesterday']), /Invalid --to day/);
+  assert.throws(() => parseArgs(['--days', '0']), /--days must be at least 1/);
+  assert.throws(() => parseArgs(['--top', 'x']), /--top must be at least 1/);
+  assert.throws(() => parseArgs(['--from', '2026-10-05', '--to', '2026-10-01']), /--from must not be after --to/);
+});
+
+test('buildReport counts sessions that started in the range', () => {
+  const records = [
+    ...session('before', '2026-10-09T23:00:00Z', '2026-10-10T01:00:00Z'),
+    ...session('a', '2026-10-10T10:00:00Z', '2026-10-10T10:10:00Z', { reason: 'backend-close' }),
+    ...session('b', '2026-10-10T10:05:00Z', '2026-10-10T10:25:00Z', { protocol: 'ssh', ip: '198.51.100.7', country: 'NL' }),
+    ...session('c', '2026-10-11T08:00:00Z', null),
+    ...session('after', '2026-10-12T00:00:00Z', '2026-10-12T00:01:00Z'),
+  ];
+  const report = buildReport(records, FROM, TO);
+
+  assert.deepEqual(report.sessions, { total: 3, telnet: 2, ssh: 1, unfinished: 1 });
+  assert.equal(report.uniqueCallers, 2);
+  assert.equal(report.averageSessionMs, 15 * 60 * 1000);
+  assert.deepEqual(report.topCountries, [{ country: 'US', sessions: 2 }, { country: 'NL', sessions: 1 }]);
+  assert.deepEqual(report.topIPs, [
+    { ip: '203.0.113.1', country: 'US', sessions: 2 },
+    { ip: '198.51.100.7', country: 'NL', sessions: 1 },
+  ]);
+  assert.deepEqual(report.closeReasons, [
+    { reason: 'backend-close', sessions: 1 },
+    { reason: 'client-close', sessions: 1 },
+  ]);
+});
+
+test('buildReport finds the peak, counting sessions that started before the range', () => {
+  const records = [
+    ...session('early', '2026-10-09T23:00:00Z', '2026-10-10T10:07:00Z'),
+    ...session('a', '2026-10-10T10:00:00Z', '2026-10-10T10:10:00Z'),
+    ...session('b', '2026-10-10T10:05:00Z', '2026-10-10T10:25:00Z'),
+    // Starts as "a" ends: not concurrent with it
+    ...session('c', '2026-10-10T10:10:00Z', '2026-10-10T10:20:00Z'),
+  ];
+  assert.deepEqual(buildReport(records, FROM, TO).peakConcurrent, { sessions: 3, at: '2026-10-10T10:05:00.000Z' });
+  assert.deepEqual(buildReport([], FROM, TO).peakConcurrent, { sessions: 0, at: null });
+  assert.equal(buildReport([], FROM, TO).averageSessionMs, null);
+});
+
+test('buildReport summarises rejections in the range', () => {
+  const records = [
+    reject('2026-10-09T12:00:00Z', '192.0.2.1', 'ratelimit'),
+    reject('2026-10-10T12:00:00Z', '192.0.2.1', 'ratelimit'),
+    reject('2026-10-10T12:00:01Z', '192.0.2.1', 'ratelimit'),
+    reject('2026-10-11T12:00:00Z', '192.0.2.2', 'blocklist'),
+  ];
+  assert.deepEqual(buildReport(records, FROM, TO).rejections, {
+    total: 3,
+    uniqueIPs: 2,
+    byReason: [{ code: 'ratelimit', count: 2 }, { code: 'blocklist', count: 1 }],
+    topIPs: [{ ip: '192.0.2.1', count: 2 }, { ip: '192.0.2.2', count: 1 }],
+  });
+});
+
+test('buildReport labels IPs and networks with the attributes seen in most sessions', () => {
+  const records = [
+    ...session('a', '2026-10-10T01:00:00Z', '2026-10-10T01:01:00Z', { country: 'US', asn: 64500, asnOrg: 'Old Name' }),
+    ...session('b', '2026-10-10T02:00:00Z', '2026-10-10T02:01:00Z', { country: 'CA', asn: 64500, asnOrg: 'New Name' }),
+    ...session('c', '2026-10-10T03:00:00Z', '2026-10-10T03:01:00Z', { country: 'CA', asn: 64500, asnOrg: 'New Name' }),
+    ...session('d', '2026-10-10T04:00:00Z', '2026-10-10T04:01:00Z', { country: null, asn: 64500, asnOrg: null }),
+    ...session('e', '2026-10-10T05:00:00Z', '2026-10-10T05:01:00Z', { country: null, asn: 64500, asnOrg: null }),
+    ...session('f', '2026-10-10T06:00:00Z', '2026-10-10T06:01:00Z', { country: null, asn: 64500, asnOrg: null }),
+  ];
+  const report = buildReport(records, FROM, TO);
+  assert.deepEqual(report.topIPs, [{ ip: '203.0.113.1', country: 'CA', sessions: 6 }]);
+  assert.deepEqual(report.topNetworks, [{ asn: 64500, organization: 'New Name', sessions: 6 }]);
+
+  // A tie goes to the most recent value
+  const tied = buildReport(records.slice(0, 4), FROM, TO);
+  assert.deepEqual(tied.topIPs, [{ ip: '203.0.113.1', country: 'CA', sessions: 2 }]);
+  const flipped = buildReport([
+    ...session('a', '2026-10-10T01:00:00Z', '2026-10-10T01:01:00Z', { country: 'CA' }),
+    ...session('b', '2026-10-10T02:00:00Z', '2026-10-10T02:01:00Z', { country: 'US' }),
+  ], FROM, TO);
+  assert.deepEqual(flipped.topIPs, [{ ip: '203.0.113.1', country: 'US', sessions: 2 }]);
+});
+
+test('buildReport limits the top lists', () => {
+  const records = [];
+  for (let i = 0; i < 5; i++) {
+    records.push(...session(`s${i}`, '2026-10-10T01:00:00Z', '2026-10-10T01:01:00Z', { ip: `192.0.2.${i}` }));
+  }
+  assert.equal(buildReport(records, FROM, TO, 3).topIPs.length, 3);
+});
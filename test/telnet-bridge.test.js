@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  IAC, DO, DONT, WILL, WONT, SB, SE,
+  OPT_BINARY, OPT_ECHO, OPT_TTYPE, OPT_NAWS, OPT_NEW_ENVIRON,
+  TTYPE_IS, TTYPE_SEND, ENV_IS, ENV_SEND, ENV_VAR, ENV_VALUE, ENV_ESC, ENV_USERVAR,
+  TelnetParser, escapeIAC, serializeToken,
+} = require('../telnet');
+const { TelnetBridge } = require('../telnet-bridge');
+
+const NOP = 241;
+
+/**
+ * Stand-in for the backend socket that records what the bridge sends
+ */
+function fakeBackend() {
+  const socket = { writable: true, destroyed: false, written: [] };
+  socket.write = (buffer) => socket.written.push(Buffer.from(buffer));
+  socket.sent = () => Buffer.concat(socket.written.splice(0));
+  return socket;
+}
+
+/**
+ * Starts a bridge and completes BINARY negotiation in both directions
+ */
+function binaryBridge(terminal) {
+  const backend = fakeBackend();
+  const bridge = new TelnetBridge(backend, terminal);
+  bridge.start();
+  bridge.handleBackendData(Buffer.from([IAC, DO, OPT_BINARY, IAC, WILL, OPT_BINARY]));
+  backend.sent();
+  return { backend, bridge };
+}
+
+test('escapeIAC doubles IAC bytes and leaves other data alone', () => {
+  assert.deepEqual(escapeIAC(Buffer.from([1, IAC, 2, IAC, IAC])), Buffer.from([1, IAC, IAC, 2, IAC, IAC, IAC, IAC]));
+  const plain = Buffer.from('hello');
+  assert.equal(escapeIAC(plain), plain);
+});
+
+test('TelnetParser splits data, commands, negotiations and subnegotiations', () => {
+  const parser = new TelnetParser();
+  const tokens = parser.parse(Buffer.from([
+    0x41, IAC, IAC, 0x42,
+    IAC, NOP,
+    IAC, WILL, OPT_ECHO,
+    IAC, SB, OPT_TTYPE, TTYPE_IS, 0x58, IAC, IAC, IAC, SE,
+    0x43,
+  ]));
+
+  assert.deepEqual(tokens, [
+    { type: 'data', data: Buffer.from([0x41, IAC, 0x42]) },
+    { type: 'command', command: NOP },
+    { type: 'negotiation', command: WILL, option: OPT_ECHO },
+    { type: 'subnegotiation', option: OPT_TTYPE, data: Buffer.from([TTYPE_IS, 0x58, IAC]) },
+    { type: 'data', data: Buffer.from([0x43]) },
+  ]);
+  assert.ok(parser.isIdle());
+});
+
+test('TelnetParser carries sequences split across chunks', () => {
+  const parser = new TelnetParser();
+  assert.deepEqual(parser.parse(Buffer.from([0x41, IAC])), [{ type: 'data', data: Buffer.from([0x41]) }]);
+  assert.ok(!parser.isIdle());
+  assert.deepEqual(parser.parse(Buffer.from([DO])), []);
+  assert.deepEqual(parser.parse(Buffer.from([OPT_NAWS, IAC])), [{ type: 'negotiation', command: DO, option: OPT_NAWS }]);
+  assert.deepEqual(parser.parse(Buffer.from([IAC, 0x42])), [{ type: 'data', data: Buffer.from([IAC, 0x42]) }]);
+});
+
+test('serializeToken round-trips parsed tokens', () => {
+  const wire = Buffer.from([0x41, IAC, IAC, IAC, DONT, OPT_ECHO, IAC, SB, OPT_NAWS, 0, IAC, IAC, 0, 24, IAC, SE, IAC, NOP]);
+  const tokens = new TelnetParser().parse(wire);
+  assert.deepEqual(Buffer.concat(tokens.map(serializeToken)), wire);
+});
+
+test('the bridge asks for BINARY both ways and passes 8-bit data through once agreed', () => {
+  const backend = fakeBackend();
+  const bridge = new TelnetBridge(backend);
+  bridge.start();
+  assert.deepEqual(backend.sent(), Buffer.from([IAC, WILL, OPT_BINARY, IAC, DO, OPT_BINARY]));
+
+  // Agreeing to our own request needs no further reply
+  bridge.handleBackendData(Buffer.from([IAC, DO, OPT_BINARY, IAC, WILL, OPT_BINARY]));
+  assert.deepEqual(backend.sent(), Buffer.alloc(0));
+  assert.ok(bridge.binaryOut);
+  assert.ok(bridge.binaryIn);
+
+  const zmodem = Buffer.from([0x2a, 0x18, 0x0d, 0x00, IAC, 0x0d, 0x8a]);
+  assert.deepEqual(bridge.encodeClientData(zmodem), Buffer.from([0x2a, 0x18, 0x0d, 0x00, IAC, IAC, 0x0d, 0x8a]));
+  assert.deepEqual(bridge.handleBackendData(escapeIAC(zmodem)), zmodem);
+});
+
+test('the bridge uses CR NUL for bare CRs until BINARY is on', () => {
+  const backend = fakeBackend();
+  const bridge = new TelnetBridge(backend);
+
+  assert.deepEqual(bridge.encodeClientData(Buffer.from('a\rb\r\n')), Buffer.from('a\r\0b\r\n'));
+  assert.deepEqual(bridge.handleBackendData(Buffer.from('x\r')), Buffer.from('x\r'));
+  // The NUL of a CR NUL pair split across chunks is still dropped
+  assert.deepEqual(bridge.handleBackendData(Buffer.from('\0y')), Buffer.from('y'));
+});
+
+test('the bridge strips option traffic from backend data', () => {
+  const { backend, bridge } = binaryBridge();
+  const output = bridge.handleBackendData(Buffer.from([0x41, IAC, NOP, IAC, WILL, OPT_ECHO, 0x42]));
+  assert.deepEqual(output, Buffer.from([0x41, 0x42]));
+  assert.deepEqual(backend.sent(), Buffer.from([IAC, DO, OPT_ECHO]));
+});
+
+test('the bridge refuses options it can\'t support', () => {
+  const { backend, bridge } = binaryBridge();
+  bridge.handleBackendData(Buffer.from([IAC, DO, OPT_TTYPE, IAC, DO, OPT_NAWS, IAC, WILL, OPT_TTYPE]));
+  assert.deepEqual(backend.sent(), Buffer.from([IAC, WONT, OPT_TTYPE, IAC, WONT, OPT_NAWS, IAC, DONT, OPT_TTYPE]));
+});
+
+test('the bridge reports the window size with IAC escaped', () => {
+  const { backend, bridge } = binaryBridge({ cols: 255, rows: 24 });
+  bridge.handleBackendData(Buffer.from([IAC, DO, OPT_NAWS]));
+  assert.deepEqual(backend.sent(), Buffer.from([
+    IAC, WILL, OPT_NAWS,
+    IAC, SB, OPT_NAWS, 0, IAC, IAC, 0, 24, IAC, SE,
+  ]));
+
+  bridge.setWindowSize(80, 25);
+  assert.deepEqual(backend.sent(), Buffer.from([IAC, SB, OPT_NAWS, 0, 80, 0, 25, IAC, SE]));
+});
+
+test('the bridge answers TTYPE SEND with the SSH terminal type', () => {
+  const { backend, bridge } = binaryBridge({ termType: 'xterm' });
+  bridge.handleBackendData(Buffer.from([IAC, DO, OPT_TTYPE, IAC, SB, OPT_TTYPE, TTYPE_SEND, IAC, SE]));
+  assert.deepEqual(backend.sent(), Buffer.from([
+    IAC, WILL, OPT_TTYPE,
+    IAC, SB, OPT_TTYPE, TTYPE_IS, ...Buffer.from('xterm'), IAC, SE,
+  ]));
+});
+
+test('the bridge sends USER over NEW-ENVIRON with special bytes escaped', () => {
+  const { backend, bridge } = binaryBridge({ username: 'a\x01b' });
+  bridge.handleBackendData(Buffer.from([
+    IAC, DO, OPT_NEW_ENVIRON,
+    IAC, SB, OPT_NEW_ENVIRON, ENV_SEND, ENV_VAR, ...Buffer.from('USER'), ENV_USERVAR, ...Buffer.from('TERM'), IAC, SE,
+  ]));
+  assert.deepEqual(backend.sent(), Buffer.from([
+    IAC, WILL, OPT_NEW_ENVIRON,
+    IAC, SB, OPT_NEW_ENVIRON, ENV_IS,
+    ENV_VAR, ...Buffer.from('USER'), ENV_VALUE, 0x61, ENV_ESC, 0x01, 0x62,
+    ENV_USERVAR, ...Buffer.from('TERM'),
+    IAC, SE,
+  ]));
+});
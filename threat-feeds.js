@@ -0,0 +1,295 @@
+/**
+ * Threat feed imports for the blocklist
+ * Loads named feeds (Spamhaus DROP/EDROP, FireHOL netsets, ipset save files,
+ * plain address and range lists) from files or URLs and refreshes each one
+ * on its own schedule. Feed entries are kept apart from the manual
+ * blocklist, so a refresh never touches entries added by the sysop.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const logger = require('./logger');
+const { getIPFilter } = require('./ipfilter');
+const { parseCIDR, parseIPRange } = require('./ip-ranges');
+
+// Give up on a feed download after this long (ms)
+const FETCH_TIMEOUT = 30000;
+
+// Largest feed accepted (FireHOL's biggest netsets are a few MB)
+const MAX_FEED_SIZE = 32 * 1024 * 1024;
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * Parses a feed. The format is recognised line by line, so any of these
+ * can be mixed:
+ *   - IPs and CIDR ranges, one per line (FireHOL .netset, plain lists)
+ *   - Spamhaus DROP/EDROP: "1.10.16.0/20 ; SBL256894"
+ *   - ipset save files: "add blocklist 1.2.3.0/24 timeout 0" ("create" lines are skipped)
+ *   - address ranges: "1.2.3.0-1.2.3.255"
+ * Comments start with # or ;
+ * @returns {Object} { ranges, invalid } (invalid counts lines that couldn't be read)
+ */
+function parseFeed(text) {
+  const ranges = [];
+  let invalid = 0;
+
+  for (const line of text.split('\n')) {
+    const content = line.replace(/[#;].*$/, '').trim();
+    if (!content) {
+      continue;
+    }
+
+    const words = content.split(/\s+/);
+    let value;
+    if (words[0] === 'create' || words[0] === '-N') {
+      continue;
+    } else if (words[0] === 'add' || words[0] === '-A') {
+      value = words[2] || '';
+    } else if (/^\S+\s*-\s*\S+$/.test(content)) {
+      value = content.replace(/\s+/g, '');
+    } else {
+      value = words[0];
+    }
+
+    const parsed = value.includes('-') ? parseIPRange(value) : [parseCIDR(value)].filter(range => range);
+    if (!parsed || parsed.length === 0) {
+      invalid++;
+      continue;
+    }
+    ranges.push(...parsed);
+  }
+
+  return { ranges, invalid };
+}
+
+/**
+ * Downloads a feed over HTTP(S), following redirects
+ * @param {Object} headers - Extra request headers (conditional request headers)
+ * @returns {Promise<Object>} { body, etag, lastModified }, or { notModified: true } on 304
+ */
+function fetchFeed(url, headers = {}, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.get(url, { headers: { 'User-Agent': 'bbsfw', ...headers }, timeout: FETCH_TIMEOUT }, (res) => {
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error('Too many redirects'));
+          return;
+        }
+        let target;
+        try {
+          target = new URL(res.headers.location, url);
+        } catch (err) {
+          reject(new Error(`Invalid redirect location: ${res.headers.location}`));
+          return;
+        }
+        if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+          reject(new Error(`Refusing redirect to ${target.protocol} URL`));
+          return;
+        }
+        if (url.startsWith('https:') && target.protocol === 'http:') {
+          reject(new Error('Refusing redirect from HTTPS to HTTP'));
+          return;
+        }
+        resolve(fetchFeed(target.toString(), headers, redirects + 1));
+        return;
+      }
+
+      if (res.statusCode === 304) {
+        res.resume();
+        resolve({ notModified: true });
+        return;
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`HTTP ${res.statusCode}`));
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_FEED_SIZE) {
+          res.destroy(new Error(`Feed is larger than ${MAX_FEED_SIZE} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        resolve({
+          body: Buffer.concat(chunks).toString('utf-8'),
+          etag: res.headers.etag || null,
+          lastModified: res.headers['last-modified'] || null,
+        });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error('Timed out'));
+    });
+    req.on('error', reject);
+  });
+}
+
+class ThreatFeeds {
+  constructor(config) {
+    this.config = config;
+    this.feeds = new Map(); // name -> { name, source, refreshMs, timer, entries, loadedAt, error, etag, lastModified }
+  }
+
+  start() {
+    this.reconfigure();
+  }
+
+  /**
+   * Applies THREAT_FEEDS: loads new feeds, drops removed ones and leaves
+   * unchanged feeds (their entries and refresh schedule) alone
+   */
+  reconfigure() {
+    const wanted = new Map(this.config.threatFeeds.map(feed => [feed.name, feed]));
+
+    for (const [name, feed] of this.feeds) {
+      const settings = wanted.get(name);
+      if (settings && settings.source === feed.source && settings.refreshMs === feed.refreshMs) {
+        continue;
+      }
+
+      // A changed feed keeps its old entries until the new source has loaded
+      clearTimeout(feed.timer);
+      this.feeds.delete(name);
+      if (!settings) {
+        getIPFilter().removeFeed(name);
+        logger.info(`Removed threat feed ${name}`);
+      }
+    }
+
+    for (const [name, settings] of wanted) {
+      if (this.feeds.has(name)) {
+        continue;
+      }
+
+      const feed = {
+        ...settings,
+        timer: null,
+        entries: 0,
+        loadedAt: null,
+        error: null,
+        etag: null,
+        lastModified: null,
+      };
+      this.feeds.set(name, feed);
+      this.refresh(feed);
+    }
+  }
+
+  /**
+   * Reads a feed's source
+   * @returns {Promise<string|null>} Feed text, or null if a URL reports no change
+   */
+  async read(feed) {
+    if (!/^https?:\/\//i.test(feed.source)) {
+      return fs.promises.readFile(path.resolve(feed.source), 'utf-8');
+    }
+
+    const headers = {};
+    if (feed.entries > 0 && feed.etag) {
+      headers['If-None-Match'] = feed.etag;
+    }
+    if (feed.entries > 0 && feed.lastModified) {
+      headers['If-Modified-Since'] = feed.lastModified;
+    }
+
+    const result = await fetchFeed(feed.source, headers);
+    if (result.notModified) {
+      return null;
+    }
+    feed.etag = result.etag;
+    feed.lastModified = result.lastModified;
+    return result.body;
+  }
+
+  /**
+   * Loads a feed and schedules its next refresh. If the feed can't be read,
+   * or comes back empty, the entries from the last good load stay in effect.
+   */
+  async refresh(feed) {
+    try {
+      const text = await this.read(feed);
+
+      // Removed or changed while it was loading
+      if (this.feeds.get(feed.name) !== feed) {
+        return;
+      }
+
+      if (text === null) {
+        logger.debug(`Threat feed ${feed.name} is unchanged`);
+      } else {
+        const { ranges, invalid } = parseFeed(text);
+        if (ranges.length === 0) {
+          throw new Error(invalid > 0 ? `no readable entries (${invalid} invalid lines)` : 'feed is empty');
+        }
+
+        feed.entries = getIPFilter().setFeedEntries(feed.name, ranges);
+        logger.info(`Loaded ${feed.entries} entries from threat feed ${feed.name}` +
+          (invalid > 0 ? ` (skipped ${invalid} unreadable lines)` : ''));
+      }
+      feed.loadedAt = Date.now();
+      feed.error = null;
+    } catch (err) {
+      if (this.feeds.get(feed.name) !== feed) {
+        return;
+      }
+      feed.error = err.message;
+      logger.warn(`Failed to load threat feed ${feed.name} from ${feed.source}` +
+        `${feed.entries > 0 ? ` (keeping ${feed.entries} entries)` : ''}: ${err.message}`);
+    }
+
+    feed.timer = setTimeout(() => this.refresh(feed), feed.refreshMs);
+    feed.timer.unref();
+  }
+
+  getStats() {
+    return Array.from(this.feeds.values()).map(feed => ({
+      name: feed.name,
+      source: feed.source,
+      entries: feed.entries,
+      refreshMs: feed.refreshMs,
+      loadedAt: feed.loadedAt,
+      error: feed.error,
+    }));
+  }
+
+  shutdown() {
+    for (const feed of this.feeds.values()) {
+      clearTimeout(feed.timer);
+    }
+  }
+}
+
+// Singleton instance
+let threatFeedsInstance = null;
+
+function initializeThreatFeeds(config) {
+  if (!threatFeedsInstance) {
+    threatFeedsInstance = new ThreatFeeds(config);
+    threatFeedsInstance.start();
+  }
+  return threatFeedsInstance;
+}
+
+function getThreatFeeds() {
+  return threatFeedsInstance;
+}
+
+module.exports = {
+  initializeThreatFeeds,
+  getThreatFeeds,
+  parseFeed,
+};
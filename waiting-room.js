@@ -0,0 +1,236 @@
+/**
+ * Waiting room for callers who arrive while all nodes are busy
+ * Holds them in a FIFO queue, keeps them posted on their position and
+ * estimated wait, and connects them as soon as a node frees up
+ */
+
+const logger = require('./logger');
+
+// Smoothing factor for the average session length
+const SESSION_LENGTH_WEIGHT = 0.2;
+
+class WaitingRoom {
+  constructor(config) {
+    this.config = config;
+    this.queue = []; // [{ socket, ip, enqueuedAt, admit, expire, onData, onClose, timer }]
+    this.averageSessionLength = null; // ms, used for wait estimates
+    this.updateInterval = null;
+  }
+
+  initialize() {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (this.config.queueUpdateInterval > 0) {
+      this.updateInterval = setInterval(() => {
+        this.sendUpdates();
+      }, this.config.queueUpdateInterval);
+    }
+
+    logger.info('Waiting room initialized', {
+      maxLength: this.config.queueMaxLength,
+      maxWait: this.config.queueMaxWait > 0 ? `${this.config.queueMaxWait}ms` : 'unlimited',
+    });
+  }
+
+  /**
+   * Applies changed queue settings after a configuration reload
+   * Callers already in line keep their places.
+   */
+  reconfigure() {
+    if (this.updateInterval) {
+      clearInterval(this.updateInterval);
+      this.updateInterval = null;
+    }
+    this.initialize();
+  }
+
+  get enabled() {
+    return this.config.queueMaxLength > 0;
+  }
+
+  /**
+   * Puts a caller in line
+   * @param {net.Socket} socket - Client socket
+   * @param {Object} handlers - { admit(socket), expire(socket) }: called when a
+   *   node is free for the caller, or when it has waited QUEUE_MAX_WAIT ms.
+   *   admit() returns false if the caller was turned away after all.
+   * @returns {boolean} False if the queue is full (or disabled)
+   */
+  enqueue(socket, handlers) {
+    if (!this.enabled || this.queue.length >= this.config.queueMaxLength) {
+      return false;
+    }
+
+    const entry = {
+      socket,
+      ip: socket.remoteAddress,
+      enqueuedAt: Date.now(),
+      admit: handlers.admit,
+      expire: handlers.expire,
+      timer: null,
+    };
+
+    // Anything typed while waiting is dropped; reading keeps hangups visible
+    entry.onData = () => {};
+    entry.onClose = () => {
+      if (this.remove(entry)) {
+        logger.info(`Caller ${entry.ip} left the waiting room after ${this.waitedFor(entry)}`);
+        this.sendUpdates();
+      }
+    };
+    socket.on('data', entry.onData);
+    socket.on('close', entry.onClose);
+    socket.on('error', (err) => {
+      logger.debug(`Waiting room socket error for ${entry.ip}: ${err.message}`);
+    });
+
+    if (this.config.queueMaxWait > 0) {
+      entry.timer = setTimeout(() => {
+        if (this.remove(entry)) {
+          logger.info(`Caller ${entry.ip} gave up waiting after ${this.waitedFor(entry)}`);
+          entry.expire(socket);
+          this.sendUpdates();
+        }
+      }, this.config.queueMaxWait);
+    }
+
+    this.queue.push(entry);
+    logger.info(`Caller ${entry.ip} queued in the waiting room (position ${this.queue.length})`);
+
+    this.write(entry, '\r\nAll nodes are busy right now.\r\n');
+    this.sendUpdate(entry, this.queue.length);
+    return true;
+  }
+
+  /**
+   * Records how long a finished session lasted, for wait estimates
+   */
+  recordSessionLength(durationMs) {
+    this.averageSessionLength = this.averageSessionLength === null
+      ? durationMs
+      : this.averageSessionLength * (1 - SESSION_LENGTH_WEIGHT) + durationMs * SESSION_LENGTH_WEIGHT;
+  }
+
+  /**
+   * Called whenever a node frees up: connects the next caller in line
+   * @returns {boolean} True if a caller was admitted
+   */
+  slotFreed() {
+    while (this.queue.length > 0) {
+      const entry = this.queue[0];
+      this.remove(entry);
+
+      if (entry.socket.destroyed) {
+        continue;
+      }
+
+      this.write(entry, '\r\nA node is free, connecting you now...\r\n');
+      if (entry.admit(entry.socket) === false) {
+        logger.info(`Caller ${entry.ip} turned away from the waiting room after ${this.waitedFor(entry)}`);
+        continue;
+      }
+      logger.info(`Caller ${entry.ip} admitted from the waiting room after ${this.waitedFor(entry)}`);
+      this.sendUpdates();
+      return true;
+    }
+
+    return false;
+  }
+
+  remove(entry) {
+    const index = this.queue.indexOf(entry);
+    if (index === -1) {
+      return false;
+    }
+
+    this.queue.splice(index, 1);
+    clearTimeout(entry.timer);
+    entry.socket.removeListener('data', entry.onData);
+    entry.socket.removeListener('close', entry.onClose);
+    return true;
+  }
+
+  /**
+   * Addresses of the callers in line (counted against the per-IP limits)
+   */
+  queuedIPs() {
+    return this.queue.map(entry => entry.ip);
+  }
+
+  /**
+   * Estimated wait for a queue position, in ms (null if unknown)
+   * With N nodes, a node frees up every (average session length / N) on average.
+   */
+  estimateWait(position) {
+    if (this.averageSessionLength === null) {
+      return null;
+    }
+    return Math.round(this.averageSessionLength * position / this.config.maxConnections);
+  }
+
+  sendUpdates() {
+    this.queue.forEach((entry, index) => this.sendUpdate(entry, index + 1));
+  }
+
+  sendUpdate(entry, position) {
+    const wait = this.estimateWait(position);
+    let estimate = 'unknown';
+    if (wait !== null) {
+      const minutes = Math.round(wait / 60000);
+      estimate = minutes < 1 ? 'less than a minute' : `about ${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+
+    // Redraw the status line in place
+    this.write(entry, `\r\x1b[KYou are number ${position} in line. Estimated wait: ${estimate}.`);
+  }
+
+  write(entry, text) {
+    if (!entry.socket.destroyed && entry.socket.writable) {
+      entry.socket.write(text);
+    }
+  }
+
+  waitedFor(entry) {
+    return `${Math.round((Date.now() - entry.enqueuedAt) / 1000)}s`;
+  }
+
+  getStats() {
+    return {
+      queued: this.queue.length,
+      maxLength: this.config.queueMaxLength,
+      averageSessionLength: this.averageSessionLength === null ? null : Math.round(this.averageSessionLength),
+    };
+  }
+
+  shutdown() {
+    if (this.updateInterval) {
+      clearInterval(this.updateInterval);
+    }
+    for (const entry of this.queue.slice()) {
+      this.remove(entry);
+      entry.socket.end();
+    }
+  }
+}
+
+// Singleton instance
+let waitingRoomInstance = null;
+
+function initializeWaitingRoom(config) {
+  if (!waitingRoomInstance) {
+    waitingRoomInstance = new WaitingRoom(config);
+    waitingRoomInstance.initialize();
+  }
+  return waitingRoomInstance;
+}
+
+function getWaitingRoom() {
+  return waitingRoomInstance;
+}
+
+module.exports = {
+  initializeWaitingRoom,
+  getWaitingRoom,
+};